@@ -0,0 +1,267 @@
+import {html2bbcode, NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {bbcode, bold, image, render} from "./format";
+import {labeled_people, normalized, people, rating} from "./normalize";
+
+/**
+ * AniList 与 MyAnimeList，均通过 AniList 的 GraphQL API 获取动画、漫画信息
+ *  - anilist 的 sid 为 AniList 的 id，mal 的 sid 为 MyAnimeList 的 id（AniList 中的 idMal），格式均为 `anime/<id>` 或 `manga/<id>`
+ *  - 两个站点的链接格式相同而 id 不同，所以分为两个 provider
+ */
+
+const ANILIST_API = "https://graphql.anilist.co";
+
+const MEDIA_QUERY = `
+query ($id: Int, $idMal: Int, $type: MediaType) {
+  Media(id: $id, idMal: $idMal, type: $type) {
+    id idMal type format status episodes duration chapters volumes season seasonYear siteUrl
+    title { romaji english native }
+    synonyms
+    startDate { year month day }
+    endDate { year month day }
+    coverImage { extraLarge }
+    bannerImage
+    description(asHtml: true)
+    genres averageScore meanScore popularity
+    studios(isMain: true) { nodes { name } }
+    staff(sort: [RELEVANCE], perPage: 15) { edges { role node { name { full native } } } }
+    characters(sort: [ROLE, RELEVANCE], perPage: 15) {
+      edges { role node { name { full native } } voiceActors(language: JAPANESE) { name { full native } } }
+    }
+  }
+}`;
+
+const SEARCH_QUERY = `
+query ($search: String) {
+  Page(perPage: 20) {
+    media(search: $search) { id idMal type format siteUrl startDate { year } title { romaji english native } }
+  }
+}`;
+
+async function anilist_fetch(query, variables) {
+  return fetch(ANILIST_API, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept": "application/json"
+    },
+    body: JSON.stringify({query: query, variables: variables})
+  });
+}
+
+function mal_link(type, id) {
+  return id ? `https://myanimelist.net/${type.toLowerCase()}/${id}` : "";
+}
+
+function format_date(date) {
+  return [date["year"], date["month"], date["day"]].filter(Boolean).map(x => String(x).padStart(2, "0")).join("-");
+}
+
+// AniList 的枚举值（如 TV_SHORT、SPRING）转换为 TV Short、Spring，ONA 等缩写保持不变
+function format_enum(value) {
+  return value ? value.split("_").map(w => w.length > 3 ? w[0] + w.slice(1).toLowerCase() : w).join(" ") : "";
+}
+
+async function search_media(query, site) {
+  let search_resp = await anilist_fetch(SEARCH_QUERY, {search: query});
+  if (!search_resp.ok) {
+    return makeError("upstream_blocked", `AniList API returned HTTP ${search_resp.status}.`);
+  }
+
+  let search_json = await search_resp.json();
+  return {
+    data: search_json["data"]["Page"]["media"].filter(d => site === "anilist" || d["idMal"]).map(d => {
+      return {
+        year: d["startDate"]["year"] ? String(d["startDate"]["year"]) : "",
+        subtype: format_enum(d["format"]),
+        title: d["title"]["english"] || d["title"]["romaji"],
+        subtitle: d["title"]["native"] || d["title"]["romaji"],
+        link: site === "anilist" ? d["siteUrl"] : mal_link(d["type"], d["idMal"])
+      }
+    })
+  }
+}
+
+async function gen_media(site, sid) {
+  let data = {
+    site: site,
+    sid: sid
+  };
+
+  let sid_match = String(sid).match(/^(anime|manga)\/(\d+)$/);
+  if (!sid_match) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+  const type = sid_match[1].toUpperCase();
+  const id = parseInt(sid_match[2]);
+
+  let media_resp = await anilist_fetch(MEDIA_QUERY, site === "mal" ? {idMal: id, type: type} : {id: id, type: type});
+  if (media_resp.status === 404) { // 当接口返回404时内容不存在
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  } else if (!media_resp.ok) {
+    return Object.assign(data, {
+      ...makeError("upstream_blocked", `AniList API returned HTTP ${media_resp.status}.`)
+    });
+  }
+
+  let media = (await media_resp.json())["data"]["Media"];
+
+  data["anilist_id"] = media["id"];
+  data["mal_id"] = media["idMal"];
+  data["type"] = media["type"];
+  data["anilist_link"] = media["siteUrl"];
+  data["mal_link"] = mal_link(media["type"], media["idMal"]);
+
+  // 标题
+  data["title_romaji"] = media["title"]["romaji"] || "";
+  data["title_english"] = media["title"]["english"] || "";
+  data["title_native"] = media["title"]["native"] || "";
+  data["synonyms"] = media["synonyms"] || [];
+
+  // 基本信息，AniList 的 format 字段存为 media_format，避免与简介 format 冲突
+  data["media_format"] = format_enum(media["format"]);
+  data["status"] = format_enum(media["status"]);
+  data["season"] = media["season"] ? `${format_enum(media["season"])} ${media["seasonYear"]}` : "";
+  data["episodes"] = media["episodes"];
+  data["duration"] = media["duration"];
+  data["chapters"] = media["chapters"];
+  data["volumes"] = media["volumes"];
+  data["start_date"] = format_date(media["startDate"]);
+  data["end_date"] = format_date(media["endDate"]);
+  data["genres"] = media["genres"] || [];
+  data["studios"] = media["studios"]["nodes"].map(s => s["name"]);
+
+  data["poster"] = media["coverImage"]["extraLarge"] || "";
+  data["banner"] = media["bannerImage"] || "";
+  data["description"] = media["description"] ? html2bbcode(media["description"]).trim() : "";
+
+  // 评分信息
+  data["anilist_score"] = media["averageScore"];
+  data["anilist_mean_score"] = media["meanScore"];
+  data["anilist_popularity"] = media["popularity"];
+
+  // Staff 与角色，staff、cast 保持与 bangumi 相同的 `职位: 姓名` 格式
+  data["staff"] = media["staff"]["edges"].map(e => `${e["role"]}: ${e["node"]["name"]["full"]}`);
+  data["characters"] = media["characters"]["edges"].map(e => ({
+    name: e["node"]["name"]["full"],
+    native: e["node"]["name"]["native"],
+    role: format_enum(e["role"]),
+    voice_actors: e["voiceActors"].map(va => ({name: va["name"]["full"], native: va["name"]["native"]}))
+  }));
+  data["cast"] = data["characters"].map(c => {
+    const cv = c.voice_actors.map(va => va.name).join(", ");
+    return cv ? `${c.name}: ${cv}` : c.name;
+  });
+
+  data["format"] = render(format_anilist(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+export async function search_anilist(query) {
+  return search_media(query, "anilist");
+}
+
+export async function search_mal(query) {
+  return search_media(query, "mal");
+}
+
+export async function gen_anilist(sid) {
+  return gen_media("anilist", sid);
+}
+
+export async function gen_mal(sid) {
+  return gen_media("mal", sid);
+}
+
+// 生成format，风格与 bangumi 相同
+export function format_anilist(data) {
+  const info = [
+    data["title_romaji"] ? `Romaji: ${data["title_romaji"]}` : "",
+    data["title_english"] ? `English: ${data["title_english"]}` : "",
+    data["title_native"] ? `Native: ${data["title_native"]}` : "",
+    data["media_format"] ? `Format: ${data["media_format"]}` : "",
+    data["episodes"] ? `Episodes: ${data["episodes"]}` : "",
+    data["duration"] ? `Episode Duration: ${data["duration"]} mins` : "",
+    data["chapters"] ? `Chapters: ${data["chapters"]}` : "",
+    data["volumes"] ? `Volumes: ${data["volumes"]}` : "",
+    data["status"] ? `Status: ${data["status"]}` : "",
+    data["season"] ? `Season: ${data["season"]}` : "",
+    data["start_date"] ? `Start Date: ${data["start_date"]}` : "",
+    data["end_date"] ? `End Date: ${data["end_date"]}` : "",
+    data["studios"] && data["studios"].length > 0 ? `Studios: ${data["studios"].join(", ")}` : "",
+    data["genres"] && data["genres"].length > 0 ? `Genres: ${data["genres"].join(", ")}` : "",
+    data["anilist_score"] ? `Score: ${data["anilist_score"]}%` : ""
+  ].filter(Boolean);
+  const source = data["site"] === "mal" ? data["mal_link"] : data["anilist_link"];
+
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    info.length > 0 ? [bold("Information: "), `\n\n${info.join("\n")}\n\n`] : "",
+    (data["description"] && data["description"].length > 0) ? [bold("Story: "), "\n\n", bbcode(data["description"]), "\n\n"] : "",
+    // 读取前15项staff信息
+    (data["staff"] && data["staff"].length > 0) ? [bold("Staff: "), `\n\n${data["staff"].slice(0, 15).join("\n")}\n\n`] : "",
+    // 读取前9项cast信息
+    (data["cast"] && data["cast"].length > 0) ? [bold("Cast: "), `\n\n${data["cast"].slice(0, 9).join("\n")}\n\n`] : "",
+    source ? `(来源于 ${source} )\n` : ""
+  ];
+}
+
+// 统一结构，anilist 与 mal 共用，见 lib/normalize.js
+export function normalize_anilist(data) {
+  const voice_actors = [];
+  for (const character of data["characters"] || []) {
+    for (const va of character.voice_actors) {
+      voice_actors.push({name: va.name, character: character.name});
+    }
+  }
+  return normalized(data, {
+    type: data["type"] === "MANGA" ? "book" : "anime",
+    link: data["site"] === "mal" ? data["mal_link"] : data["anilist_link"],
+    titles: {
+      main: data["title_english"] || data["title_romaji"],
+      original: data["title_native"] || data["title_romaji"],
+      localized: [data["title_romaji"], data["title_english"]],
+      aliases: data["synonyms"]
+    },
+    release_date: data["start_date"],
+    genres: data["genres"],
+    runtime: data["duration"],
+    description: data["description"],
+    people: [
+      ...people(data["studios"], "studio"),
+      ...labeled_people(data["staff"], "staff"),
+      ...people(voice_actors, "actor")
+    ],
+    ratings: [rating("anilist", data["anilist_mean_score"], 100)],
+    poster: data["poster"],
+    backdrop: data["banner"],
+    external_ids: {anilist: data["anilist_id"], mal: data["mal_id"]}
+  });
+}
+
+export const provider = {
+  name: "anilist",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?anilist\.co\/((?:anime|manga)\/\d+)/
+  ],
+  search: search_anilist,
+  gen: gen_anilist,
+  format: format_anilist,
+  normalize: normalize_anilist
+};
+
+export const mal_provider = {
+  name: "mal",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?myanimelist\.net\/((?:anime|manga)\/\d+)/
+  ],
+  search: search_mal,
+  gen: gen_mal,
+  format: format_anilist,
+  normalize: normalize_anilist
+};
@@ -0,0 +1,229 @@
+import {makeJsonRawResponse} from "./common";
+import {makeError, makeErrorResponse} from "./error";
+
+/**
+ * API Key 鉴权
+ *  - 环境变量 `APIKEY` 为管理员密钥，拥有全部权限；未设置时不进行鉴权，匿名请求可使用 search、generate、batch
+ *  - 其余密钥保存在 KV 中（只保存 SHA-256 摘要），每个密钥有各自的 label、scopes、sites 和每日请求数 quota
+ *  - 密钥可通过 `&apikey=`、请求头 `X-API-Key` 或 `Authorization: Bearer` 传递
+ *  - 每个密钥每天的请求数（按站点分类）记录在 KV 中，通过 `/apikeys` 查看
+ */
+
+/* global APIKEY, PT_GEN_STORE */
+
+export const SCOPES = ["search", "generate", "batch", "admin"];
+
+const ANONYMOUS = {id: null, label: "anonymous", scopes: ["search", "generate", "batch"], sites: [], quota: 0};
+const USAGE_TTL = 86400 * 31; // 用量记录保留31天
+const MAX_USAGE_DAYS = 31;
+
+function key_store_key(id) {
+  return `apikey-${id}`;
+}
+
+function usage_store_key(id, day) {
+  return `usage-${id}-${day}`;
+}
+
+function today(offset = 0) {
+  return new Date(Date.now() - offset * 86400 * 1000).toISOString().slice(0, 10);
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 从请求中取得 apikey
+function requestKey(request, uri) {
+  const authorization = request.headers.get("Authorization") || "";
+  if (/^Bearer /i.test(authorization)) {
+    return authorization.slice(7).trim();
+  }
+  return request.headers.get("X-API-Key") || uri.searchParams.get("apikey");
+}
+
+/**
+ * 鉴别请求所使用的密钥
+ * @param {Request} request
+ * @param {URL} uri
+ * @return {Promise<{key: object, error: undefined}|{key: undefined, error: {error: string, error_code: string}}>}
+ *   匿名请求的 key 为 ANONYMOUS（id 为 null）
+ */
+export async function authenticate(request, uri) {
+  const raw_key = requestKey(request, uri);
+  if (!raw_key) {
+    // 未设置 APIKEY 时不需要鉴权
+    return globalThis['APIKEY'] ? {error: makeError("auth_required", "apikey required.")} : {key: ANONYMOUS};
+  }
+
+  // 比较摘要而不是明文，避免按字符比较所需的时间泄露密钥
+  const id = await sha256(raw_key);
+  if (globalThis['APIKEY'] && id === await sha256(globalThis['APIKEY'])) {
+    return {key: {id: "master", label: "master", scopes: SCOPES, sites: [], quota: 0}};
+  }
+
+  const stored = globalThis['PT_GEN_STORE'] ? await PT_GEN_STORE.get(key_store_key(id)) : null;
+  if (stored === null) {
+    return {error: makeError("auth_required", "apikey required.")};
+  }
+  return {key: Object.assign(JSON.parse(stored), {id: id})};
+}
+
+/**
+ * 检查密钥是否可以在对应站点上使用某项功能
+ * @param {object} key authenticate() 返回的 key
+ * @param {string} scope SCOPES 之一
+ * @param {string} [site] 站点名，不涉及具体站点时省略
+ * @return {{error: string, error_code: string}|null} 允许时返回 null
+ */
+export function checkScope(key, scope, site) {
+  if (!key.scopes.includes(scope)) {
+    return key.id === null
+      ? makeError("auth_required", "apikey required.")
+      : makeError("forbidden", "This apikey is not allowed to use `" + scope + "`.");
+  } else if (site && key.sites && key.sites.length > 0 && !key.sites.includes(site)) {
+    return makeError("forbidden", "This apikey is not allowed to access site `" + site + "`.");
+  }
+  return null;
+}
+
+/**
+ * 记录请求，超出每日限额时返回错误且不计数
+ * 注意：KV 不保证原子性，并发请求较多时计数可能略有偏差
+ * @param {object} key authenticate() 返回的 key
+ * @param {string|Array<string>} [site] 计入对应站点的用量，批量请求时为每一项的站点
+ * @return {Promise<{error: string, error_code: string}|null>}
+ */
+export async function consumeQuota(key, site) {
+  if (key.id === null || !globalThis['PT_GEN_STORE']) {
+    return null; // 匿名请求不计数
+  }
+
+  const usage_key = usage_store_key(key.id, today());
+  const usage = JSON.parse(await PT_GEN_STORE.get(usage_key) || '{"total": 0, "sites": {}}');
+  const sites = Array.isArray(site) ? site : [site];
+  if (key.quota > 0 && usage.total + sites.length > key.quota) {
+    return makeError("quota_exceeded", `Daily quota of ${key.quota} requests exceeded.`);
+  }
+
+  usage.total += sites.length;
+  for (const s of sites.filter(Boolean)) {
+    usage.sites[s] = (usage.sites[s] || 0) + 1;
+  }
+  await PT_GEN_STORE.put(usage_key, JSON.stringify(usage), {expirationTtl: USAGE_TTL});
+  return null;
+}
+
+async function getUsage(id, days) {
+  const usage = {};
+  for (let i = 0; i < days; i++) {
+    const day = today(i);
+    const stored = await PT_GEN_STORE.get(usage_store_key(id, day));
+    usage[day] = stored === null ? {total: 0, sites: {}} : JSON.parse(stored);
+  }
+  return usage;
+}
+
+// 校验并整理密钥的设置，出错时返回错误说明
+function normalizeKeyOptions(body, base = {}) {
+  const options = {
+    label: body.label !== undefined ? body.label : base.label,
+    scopes: body.scopes !== undefined ? body.scopes : (base.scopes || ["search", "generate"]),
+    sites: body.sites !== undefined ? body.sites : (base.sites || []),
+    quota: body.quota !== undefined ? body.quota : (base.quota || 0),
+    created_at: base.created_at || Date.now()
+  };
+
+  if (typeof options.label !== "string" || options.label.length === 0 || options.label.length > 64) {
+    return {error: "Miss or invalid key of `label`."};
+  } else if (!Array.isArray(options.scopes) || options.scopes.some(s => !SCOPES.includes(s))) {
+    return {error: "Invalid value of key `scopes`, should be a list of " + SCOPES.join(", ") + "."};
+  } else if (!Array.isArray(options.sites) || options.sites.some(s => typeof s !== "string")) {
+    return {error: "Invalid value of key `sites`, should be a list of site names."};
+  } else if (!Number.isInteger(options.quota) || options.quota < 0) {
+    return {error: "Invalid value of key `quota`, should be a non-negative integer."};
+  }
+  return {options: options};
+}
+
+function generateKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return "ptgen-" + [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * API Key 的管理接口，需要 admin 权限
+ *  GET    /apikeys                 列出所有密钥及其当日用量
+ *  GET    /apikeys?id=xxx&days=7   获取密钥设置及最近几天的用量（按站点分类）
+ *  POST   /apikeys                 创建密钥，请求体为 {"label": "...", "scopes": [...], "sites": [...], "quota": 1000}
+ *                                  返回的 `key` 只会出现这一次
+ *  PUT    /apikeys?id=xxx          修改密钥设置，请求体同上，可只包含需要修改的字段
+ *  DELETE /apikeys?id=xxx          删除密钥
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ */
+export async function handleApiKeys(event) {
+  const request = event.request;
+  const uri = new URL(request.url);
+
+  if (!globalThis['PT_GEN_STORE']) {
+    return makeErrorResponse("storage_unavailable", "API keys need the KV Storage `PT_GEN_STORE`.");
+  }
+
+  const id = uri.searchParams.get("id");
+  if (request.method === "GET" && !id) {
+    const list = await PT_GEN_STORE.list({prefix: key_store_key("")});
+    const data = [];
+    for (const {name} of list.keys) {
+      const key_id = name.slice(key_store_key("").length);
+      const key = JSON.parse(await PT_GEN_STORE.get(name));
+      data.push(Object.assign({id: key_id}, key, {usage: (await getUsage(key_id, 1))[today()]}));
+    }
+    return makeJsonRawResponse({success: true, data: data});
+  } else if (request.method === "POST") {
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return makeErrorResponse("invalid_request", "Request body is not a valid JSON.");
+    }
+    const {options, error} = normalizeKeyOptions(body || {});
+    if (error) {
+      return makeErrorResponse("invalid_request", error);
+    }
+    const raw_key = generateKey();
+    const key_id = await sha256(raw_key);
+    await PT_GEN_STORE.put(key_store_key(key_id), JSON.stringify(options));
+    return makeJsonRawResponse(Object.assign({success: true, id: key_id, key: raw_key}, options));
+  } else if (!id || !/^[0-9a-f]{64}$/.test(id)) {
+    return makeErrorResponse("invalid_request", "Miss or invalid key of `id`.");
+  }
+
+  const stored = await PT_GEN_STORE.get(key_store_key(id));
+  if (stored === null) {
+    return makeErrorResponse("not_found", "API key `" + id + "` does not exist.");
+  }
+
+  if (request.method === "GET") {
+    const days = Math.min(Math.max(parseInt(uri.searchParams.get("days")) || 7, 1), MAX_USAGE_DAYS);
+    return makeJsonRawResponse(Object.assign({success: true, id: id}, JSON.parse(stored), {usage: await getUsage(id, days)}));
+  } else if (request.method === "PUT") {
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return makeErrorResponse("invalid_request", "Request body is not a valid JSON.");
+    }
+    const {options, error} = normalizeKeyOptions(body || {}, JSON.parse(stored));
+    if (error) {
+      return makeErrorResponse("invalid_request", error);
+    }
+    await PT_GEN_STORE.put(key_store_key(id), JSON.stringify(options));
+    return makeJsonRawResponse(Object.assign({success: true, id: id}, options));
+  } else if (request.method === "DELETE") {
+    await PT_GEN_STORE.delete(key_store_key(id));
+    return makeJsonRawResponse({success: true, id: id});
+  }
+
+  return makeErrorResponse("method_not_allowed", "Method not allowed.");
+}
@@ -1,10 +1,25 @@
 import { page_parser, NONE_EXIST_ERROR } from "./common";
+import {makeError} from "./error";
+import {bold, image, render} from "./format";
+import {labeled_people, normalized, rating} from "./normalize";
 
-export async function search_bangumi(query) {
+const SEARCH_PAGE_SIZE = 25; // 接口单次允许的最多结果数
+const SUBJECT_TYPES = {book: 1, anime: 2, music: 3, game: 4, tv: 6}; // lib/search.js 中的类型对应的条目类型
+
+export async function search_bangumi(query, {page = 1, type = null} = {}) {
   const tp_dict = {1: "漫画/小说", 2: "动画/二次元番", 3: "音乐", 4: "游戏", 6: "三次元番"};
-  let bgm_search = await fetch(`http://api.bgm.tv/search/subject/${query}?responseGroup=large`)
+  let bgm_search_url = `http://api.bgm.tv/search/subject/${encodeURIComponent(query)}?responseGroup=large&max_results=${SEARCH_PAGE_SIZE}&start=${(page - 1) * SEARCH_PAGE_SIZE}`;
+  if (type) {
+    bgm_search_url += `&type=${SUBJECT_TYPES[type]}`;
+  }
+  let bgm_search = await fetch(bgm_search_url)
   let bgm_search_json = await bgm_search.json();
+  if (!Array.isArray(bgm_search_json.list)) {
+    // 没有结果（或页码超出结果数）时接口返回的是不带 list 的错误信息
+    return {total: 0, data: []};
+  }
   return {
+    total: bgm_search_json.results,
     data: bgm_search_json.list.map(d => {
       return {
         year: d['air_date'].slice(0, 4),
@@ -29,7 +44,7 @@ export async function gen_bangumi(sid) {
   let bangumi_page_raw = await bangumi_page_resp.text();
   if (bangumi_page_raw.match(/呜咕，出错了/)) {
     return Object.assign(data, {
-      error: NONE_EXIST_ERROR
+      ...makeError("not_found", NONE_EXIST_ERROR)
     });
   }
 
@@ -53,6 +68,7 @@ export async function gen_bangumi(sid) {
    */
   data["cover"] = data["poster"] = cover_another ? ("https:" + cover_another.attr("href")).replace(/\/cover\/[lcmsg]\//, "/cover/l/") : "";
   data["story"] = story_another ? story_another.text().trim() : "";
+  data["name"] = ($("h1.nameSingle > a").text() || $("title").text().replace(/\s*\|\s*Bangumi 番组计划\s*$/, "")).trim(); // 原名
 
   // 中文名、话数、放送开始、放送星期等信息 不视为staff列表项，将其转存进info项中
   let info = info_another.find("li").map(function () {
@@ -93,16 +109,65 @@ export async function gen_bangumi(sid) {
     return `${char}: ${cv}`;
   }).get();
 
-  // 生成format
-  let descr = (data["poster"] && data["poster"].length > 0) ? `[img]${data["poster"]}[/img]\n\n` : "";
-  descr += (data["story"] && data["story"].length > 0) ? `[b]Story: [/b]\n\n${data["story"]}\n\n` : "";
-  // 读取前15项staff信息
-  descr += (data["staff"] && data["staff"].length > 0) ? `[b]Staff: [/b]\n\n${data["staff"].slice(0, 15).join("\n")}\n\n` : "";
-  // 读取前9项cast信息
-  descr += (data["cast"] && data["cast"].length > 0) ? `[b]Cast: [/b]\n\n${data["cast"].slice(0, 9).join("\n")}\n\n` : "";
-  descr += (data["alt"] && data["alt"].length > 0) ? `(来源于 ${data["alt"]} )\n` : "";
-
-  data["format"] = descr.trim();
+  data["format"] = render(format_bangumi(data));
   data["success"] = true; // 更新状态为成功
   return data;
 }
+
+// 生成format
+export function format_bangumi(data) {
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    (data["story"] && data["story"].length > 0) ? [bold("Story: "), `\n\n${data["story"]}\n\n`] : "",
+    // 读取前15项staff信息
+    (data["staff"] && data["staff"].length > 0) ? [bold("Staff: "), `\n\n${data["staff"].slice(0, 15).join("\n")}\n\n`] : "",
+    // 读取前9项cast信息
+    (data["cast"] && data["cast"].length > 0) ? [bold("Cast: "), `\n\n${data["cast"].slice(0, 9).join("\n")}\n\n`] : "",
+    (data["alt"] && data["alt"].length > 0) ? `(来源于 ${data["alt"]} )\n` : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_bangumi(data) {
+  const info = {};
+  for (const line of data["info"] || []) {
+    const [key, ...value] = line.split(": ");
+    info[key] = info[key] ? `${info[key]}、${value.join(": ")}` : value.join(": ");
+  }
+  // cast 为 `角色: 声优1，声优2`
+  const cast = [];
+  for (const line of data["cast"] || []) {
+    const [character, actors] = line.split(": ");
+    for (const name of (actors || "").split("，").filter(Boolean)) {
+      cast.push({name: name, role: "actor", character: character});
+    }
+  }
+  return normalized(data, {
+    type: info["话数"] || info["放送开始"] ? "anime" : null,
+    link: data["alt"],
+    titles: {
+      main: info["中文名"] || data["name"],
+      original: data["name"],
+      aliases: (info["别名"] || "").split("、")
+    },
+    release_date: info["放送开始"] || info["发售日"] || info["上映年度"],
+    tags: data["tags"],
+    description: data["story"],
+    people: [...labeled_people(data["staff"], "staff"), ...cast],
+    ratings: [rating("bangumi", data["bangumi_rating_average"], 10, data["bangumi_votes"])],
+    poster: data["poster"],
+    external_ids: {bangumi: data["sid"]}
+  });
+}
+
+export const provider = {
+  name: "bangumi",
+  patterns: [
+    /(?:https?:\/\/)?(?:bgm\.tv|bangumi\.tv|chii\.in)\/subject\/(\d+)\/?/
+  ],
+  search: search_bangumi,
+  search_paging: {size: SEARCH_PAGE_SIZE, types: Object.keys(SUBJECT_TYPES)},
+  gen: gen_bangumi,
+  format: format_bangumi,
+  normalize: normalize_bangumi
+};
@@ -0,0 +1,147 @@
+import {makeJsonRawResponse} from "./common";
+import {makeError, makeErrorDataResponse, makeErrorResponse} from "./error";
+import {checkScope, consumeQuota} from "./auth";
+import {checkRateLimit, clientId} from "./ratelimit";
+import {generate, matchUrl, reformat, withNormalized} from "./provider";
+import {parseVersion} from "./normalize";
+import {FORMAT_TYPES} from "./format";
+import {applyTemplate} from "./template";
+
+/* global BATCH_CONCURRENCY */
+
+const DEFAULT_CONCURRENCY = 3; // 默认同时请求的数量，可通过环境变量 BATCH_CONCURRENCY 修改
+const MAX_ITEMS = 50; // 单次批量请求的最大数量
+
+// 解析单项请求，支持 "url" 字符串、{url: "..."} 以及 {site: "...", sid: "..."} 三种形式
+function resolveItem(item) {
+  if (typeof item === "string") {
+    return matchUrl(item);
+  } else if (item && typeof item === "object") {
+    if (item.url) {
+      return matchUrl(String(item.url));
+    } else if (item.site && item.sid) {
+      return {site: String(item.site), sid: String(item.sid)};
+    }
+  }
+  return null;
+}
+
+async function generateItem({item, target, denied}, format_type, version, template_params, cache_options) {
+  if (denied) {
+    return Object.assign({}, target, denied);
+  } else if (target === null) {
+    const with_url = typeof item === "string" || Boolean(item && item.url);
+    return makeError(with_url ? "unsupported_site" : "invalid_request", "Miss key of `site` or `sid` , or input unsupported resource `url`.");
+  }
+
+  try {
+    const data = reformat(await generate(target.site, target.sid, cache_options), format_type);
+    return await applyTemplate(withNormalized(data, version), template_params);
+  } catch (e) {
+    // 单项失败不影响其他项
+    return Object.assign({}, target, makeError("internal_error", `Internal Error. Exception: ${e.message}`));
+  }
+}
+
+// 以不超过 limit 的并发数处理 items，每一项完成后立即等待回调 onResult(index, result)，回调失败时不再处理剩余的项
+async function runWithLimit(items, limit, worker, onResult) {
+  let next = 0;
+  const runners = Array.from({length: Math.min(limit, items.length)}, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        await onResult(index, await worker(items[index]));
+      } catch (e) {
+        next = items.length;
+        throw e;
+      }
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * 批量生成简介
+ *  POST /batch        请求体为 {"items": [...], "format_type": "bbcode"}，全部完成后按请求顺序返回结果
+ *                     同样支持 `template` 与 `template_name` 字段，见 lib/template.js，以及 `v` 字段，见 lib/normalize.js
+ *  POST /batch?stream=1  以 NDJSON 格式逐行返回，每完成一项即输出一行，通过 index 字段对应请求顺序
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ * @param {object} key 请求使用的 apikey，见 lib/auth.js
+ */
+export async function handleBatch(event, key) {
+  const request = event.request;
+  if (request.method !== "POST") {
+    return makeErrorResponse("method_not_allowed", "Batch generation only accepts POST request.");
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return makeErrorResponse("invalid_request", "Request body is not a valid JSON.");
+  }
+
+  const items = Array.isArray(body) ? body : (body || {}).items;
+  if (!Array.isArray(items) || items.length === 0) {
+    return makeErrorResponse("invalid_request", "Miss key of `items` in request body.");
+  } else if (items.length > MAX_ITEMS) {
+    return makeErrorResponse("invalid_request", `Too many items, at most ${MAX_ITEMS} per request.`);
+  }
+
+  const format_type = (body || {}).format_type || "bbcode";
+  if (!FORMAT_TYPES.includes(format_type)) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `format_type`.");
+  }
+  const version = parseVersion((body || {}).v);
+  if (version === null) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `v`.");
+  }
+
+  // 逐项检查 apikey 能否访问对应站点，并将可以生成的项一次性计入频率限制与用量
+  const entries = items.map(item => {
+    const target = resolveItem(item);
+    return {item: item, target: target, denied: target && checkScope(key, "batch", target.site)};
+  });
+  const sites = entries.filter(e => e.target && !e.denied).map(e => e.target.site);
+  const limit_error = await checkRateLimit(clientId(event, key), "generate", sites) || await consumeQuota(key, sites);
+  if (limit_error) {
+    return makeErrorDataResponse(limit_error);
+  }
+
+  const concurrency = parseInt(globalThis['BATCH_CONCURRENCY']) || DEFAULT_CONCURRENCY;
+  const template_params = {template: body.template, template_name: body.template_name};
+  const cache_options = {waitUntil: promise => event.waitUntil(promise)};
+  const generate_item = entry => generateItem(entry, format_type, version, template_params, cache_options);
+  const format_result = (index, result) => Object.assign({index: index, success: false, error: null, error_code: null}, result);
+
+  const uri = new URL(request.url);
+  if (uri.searchParams.get("stream") || (request.headers.get("Accept") || "").includes("application/x-ndjson")) {
+    const {readable, writable} = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    // 客户端中途断开时写入失败，停止生成剩余的项
+    event.waitUntil(
+      runWithLimit(entries, concurrency, generate_item, (index, result) =>
+        writer.write(encoder.encode(JSON.stringify(format_result(index, result)) + "\n"))
+      ).then(() => writer.close(), e => writer.abort(e)).catch(() => null)
+    );
+
+    return new Response(readable, {
+      headers: {
+        "Content-Type": "application/x-ndjson",
+        "Access-Control-Allow-Origin": "*" // CORS
+      }
+    });
+  }
+
+  const results = new Array(items.length);
+  await runWithLimit(entries, concurrency, generate_item, (index, result) => {
+    results[index] = format_result(index, result);
+  });
+
+  return makeJsonRawResponse({
+    success: true,
+    data: results
+  });
+}
@@ -0,0 +1,68 @@
+import {restoreFromKV, storeToKV} from "./common";
+
+/* global CACHE_TTL, CACHE_STALE_TTL */
+
+const DEFAULT_TTL = 86400 * 2; // 默认缓存2天
+const DEFAULT_STALE_TTL = 86400 * 7; // 过期后仍可先返回旧缓存的时长，期间在后台重新生成
+
+function env_seconds(name, fallback) {
+  const value = parseInt(globalThis[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * 站点的缓存时长（秒），优先读取 `CACHE_TTL_<SITE>`（如 `CACHE_TTL_DOUBAN`），其次为 `CACHE_TTL`
+ * @param {string} site
+ * @return {number}
+ */
+export function getCacheTtl(site) {
+  const fallback = env_seconds("CACHE_TTL", DEFAULT_TTL);
+  return site ? env_seconds(`CACHE_TTL_${site.toUpperCase()}`, fallback) : fallback;
+}
+
+// 缓存过期后仍可使用的时长（秒），设为 0 则关闭 stale-while-revalidate
+export function getStaleTtl() {
+  return env_seconds("CACHE_STALE_TTL", DEFAULT_STALE_TTL);
+}
+
+/**
+ * 带缓存地执行 producer
+ *  - 缓存未过期：直接返回缓存
+ *  - 缓存已过期但仍在 stale 时长内：直接返回旧缓存，并通过 waitUntil 在后台重新生成
+ *  - 无缓存或 refresh 为真：重新生成并写入缓存
+ *  - ttl 为 0：不读取也不写入缓存（此时也不使用 stale 缓存）
+ * 写入 KV 的结果会带上 `generate_at`，以此判断缓存是否过期
+ * @param {string} cache_key KV 中的键名
+ * @param {number} ttl 缓存时长（秒）
+ * @param {function(): Promise<object>} producer
+ * @param {{refresh: boolean, waitUntil: function(Promise)}} options
+ * @return {Promise<object>}
+ */
+export async function cached(cache_key, ttl, producer, {refresh = false, waitUntil} = {}) {
+  if (ttl <= 0) {
+    return Object.assign(await producer(), {generate_at: Date.now()});
+  }
+
+  const stale_ttl = getStaleTtl();
+  const regenerate = async () => {
+    const data = Object.assign(await producer(), {generate_at: Date.now()});
+    await storeToKV(cache_key, data, ttl + stale_ttl);
+    return data;
+  };
+
+  if (!refresh) {
+    const cache_data = await restoreFromKV(cache_key);
+    if (cache_data) {
+      // 旧版本写入的缓存没有 generate_at，视为未过期
+      const age = cache_data.generate_at ? (Date.now() - cache_data.generate_at) / 1000 : 0;
+      if (age < ttl) {
+        return cache_data;
+      } else if (age < ttl + stale_ttl && waitUntil) {
+        waitUntil(regenerate());
+        return cache_data;
+      }
+    }
+  }
+
+  return await regenerate();
+}
@@ -12,6 +12,7 @@ const VERSION = "0.6.4";
 const default_body = {
   "success": false, // 请求是否成功，客户端应该首先检查该字段
   "error": null, // 如果请求失败，此处为失败原因
+  "error_code": null, // 如果请求失败，此处为错误代码，见 lib/error.js
   "format": "", // 使用BBCode格式整理的简介
   "copyright": `Powered by @${AUTHOR}`, // 版权信息
   "version": VERSION, // 版本
@@ -54,6 +55,13 @@ export async function restoreFromKV(cache_key) {
   }
 }
 
+// 将成功的请求结果存入KV，失败的结果不缓存，ttl 为 0 时不缓存
+export async function storeToKV(cache_key, data, ttl = 86400 * 2) {
+  if (globalThis['PT_GEN_STORE'] && typeof data.error === 'undefined' && ttl > 0) {
+    await PT_GEN_STORE.put(cache_key, JSON.stringify(data), {expirationTtl: Math.max(ttl, 60)}) // KV 最短的过期时间为60秒
+  }
+}
+
 // 返回Json请求
 export function makeJsonRawResponse(body, headers) {
   headers = {
@@ -69,10 +77,10 @@ export function makeJsonRawResponse(body, headers) {
 
 export function makeJsonResponse(body_update, statusCode = 200) {
   const body = Object.assign(
-    default_body,
-    body_update, {
-      generate_at: (new Date()).valueOf()
-    }
+    {}, default_body, {
+      generate_at: (new Date()).valueOf() // 来自缓存的结果保留其原本的生成时间
+    },
+    body_update
   );
   return makeJsonRawResponse(body, {
     status: statusCode,
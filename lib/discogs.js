@@ -0,0 +1,176 @@
+import {NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {render} from "./format";
+import {format_music_release, MUSIC_USER_AGENT, normalize_music_release} from "./musicbrainz";
+
+/**
+ * Discogs，通过官方 API 获取专辑信息
+ *  - sid 格式为 `release/<id>` 或 `master/<id>`，master 使用其主版本（main_release）的信息
+ *  - 搜索及封面图片需要设置环境变量 `DISCOGS_TOKEN`（Discogs 账户设置中的 Personal access token）
+ */
+
+/* global DISCOGS_TOKEN */
+
+const DISCOGS_API = "https://api.discogs.com";
+
+async function discogs_fetch(path, params) {
+  const url = new URL(`${DISCOGS_API}/${path}`);
+  for (const [key, value] of Object.entries(params || {})) {
+    url.searchParams.set(key, value);
+  }
+  const headers = {
+    "Accept": "application/json",
+    "User-Agent": MUSIC_USER_AGENT
+  };
+  if (globalThis['DISCOGS_TOKEN']) {
+    headers["Authorization"] = `Discogs token=${globalThis['DISCOGS_TOKEN']}`;
+  }
+  return fetch(url.toString(), {headers: headers});
+}
+
+function discogs_resp_error(resp) {
+  if (resp.status === 404) {
+    return makeError("not_found", NONE_EXIST_ERROR);
+  }
+  return makeError("upstream_blocked", `Discogs API returned HTTP ${resp.status}.`);
+}
+
+// Discogs 中同名的歌手会加上 ` (2)` 之类的后缀，显示时去掉
+function artist_name(artist) {
+  return (artist["anv"] || artist["name"]).replace(/ \(\d+\)$/, "");
+}
+
+function artist_credit(artists) {
+  return (artists || []).map(a => {
+    const join = a["join"] ? (a["join"] === "," ? ", " : ` ${a["join"]} `) : "";
+    return artist_name(a) + join;
+  }).join("").trim();
+}
+
+/**
+ * 搜索，需要 `DISCOGS_TOKEN`
+ * 关键词为 `歌手 - 专辑` 时分别匹配歌手与专辑名，返回的链接为 master
+ */
+const SEARCH_PAGE_SIZE = 50;
+
+export async function search_discogs(query, {page = 1} = {}) {
+  if (!globalThis['DISCOGS_TOKEN']) {
+    return makeError("not_configured", "Discogs search needs the environment variable `DISCOGS_TOKEN`.");
+  }
+
+  const split = query.split(" - ");
+  const params = split.length > 1
+    ? {type: "master", artist: split[0].trim(), release_title: split.slice(1).join(" - ").trim()}
+    : {type: "master", q: query};
+  Object.assign(params, {page: page, per_page: SEARCH_PAGE_SIZE});
+
+  let discogs_search_resp = await discogs_fetch("database/search", params);
+  if (!discogs_search_resp.ok) {
+    return discogs_resp_error(discogs_search_resp);
+  }
+
+  let discogs_search_json = await discogs_search_resp.json();
+  return {
+    total: discogs_search_json["pagination"]["items"],
+    data: discogs_search_json["results"].map(d => {
+      // 搜索结果的标题为 `歌手 - 专辑`
+      const [artist, ...title] = d["title"].split(" - ");
+      return {
+        year: d["year"] || "",
+        subtype: (d["format"] || []).join(", "),
+        title: title.length > 0 ? title.join(" - ") : artist,
+        subtitle: title.length > 0 ? artist : "",
+        link: `https://www.discogs.com/master/${d["id"]}`
+      }
+    })
+  }
+}
+
+export async function gen_discogs(sid) {
+  let data = {
+    site: "discogs",
+    sid: sid
+  };
+
+  let sid_match = String(sid).match(/^(release|master)\/(\d+)$/);
+  if (!sid_match) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+  let [, entity, release_id] = sid_match;
+  data["discogs_link"] = `https://www.discogs.com/${entity}/${release_id}`;
+
+  // master 先找到其主版本
+  if (entity === "master") {
+    let master_resp = await discogs_fetch(`masters/${release_id}`);
+    if (!master_resp.ok) {
+      return Object.assign(data, discogs_resp_error(master_resp));
+    }
+    release_id = (await master_resp.json())["main_release"];
+  }
+
+  let release_resp = await discogs_fetch(`releases/${release_id}`);
+  if (!release_resp.ok) {
+    return Object.assign(data, discogs_resp_error(release_resp));
+  }
+  let release = await release_resp.json();
+
+  data["release_id"] = release["id"];
+  data["master_id"] = release["master_id"] || null;
+  data["title"] = release["title"];
+  data["artist"] = artist_credit(release["artists"]);
+  data["release_date"] = release["released"] || (release["year"] ? String(release["year"]) : "");
+  data["country"] = release["country"] || "";
+  data["label"] = (release["labels"] || []).map(l => ({
+    name: l["name"].replace(/ \(\d+\)$/, ""),
+    catalog_number: l["catno"] && l["catno"] !== "none" ? l["catno"] : ""
+  }));
+  data["genres"] = release["genres"] || [];
+  data["styles"] = release["styles"] || [];
+
+  // 介质，如 2×Vinyl, LP, Album
+  data["media"] = (release["formats"] || []).map(f => {
+    const qty = parseInt(f["qty"]) > 1 ? `${f["qty"]}×` : "";
+    return qty + [f["name"], ...(f["descriptions"] || [])].join(", ");
+  }).join(" + ");
+
+  const barcode = (release["identifiers"] || []).find(i => i["type"] === "Barcode");
+  data["barcode"] = barcode ? barcode["value"] : "";
+
+  // 曲目，跳过分段标题，展开含有子曲目的项
+  data["tracklist"] = [];
+  for (const track of release["tracklist"] || []) {
+    if (track["type_"] === "heading") continue;
+    for (const t of track["type_"] === "index" ? (track["sub_tracks"] || []) : [track]) {
+      data["tracklist"].push({
+        position: t["position"] || "",
+        title: t["title"],
+        artist: t["artists"] ? artist_credit(t["artists"]) : "",
+        duration: t["duration"] || ""
+      });
+    }
+  }
+
+  // 图片地址只有在使用 token 请求时才会返回
+  const images = release["images"] || [];
+  const cover = images.find(i => i["type"] === "primary") || images[0];
+  data["poster"] = cover && cover["uri"] ? cover["uri"] : "";
+
+  data["format"] = render(format_music_release(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+export const provider = {
+  name: "discogs",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?discogs\.com\/(?:[^/\s]+\/)*?((?:release|master)\/\d+)/
+  ],
+  search: search_discogs,
+  search_paging: {size: SEARCH_PAGE_SIZE, types: []},
+  gen: gen_discogs,
+  format: format_music_release,
+  normalize: normalize_music_release,
+  available: action => action !== "search" || Boolean(globalThis['DISCOGS_TOKEN'])
+};
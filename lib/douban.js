@@ -1,5 +1,8 @@
 import {jsonp_parser, NONE_EXIST_ERROR, page_parser} from "./common";
+import {makeError} from "./error";
 import {solveDoubanChallenge} from "./douban_challenge";
+import {image, render} from "./format";
+import {normalized, people, rating} from "./normalize";
 
 /* global DOUBAN_COOKIE */
 
@@ -8,8 +11,72 @@ if (globalThis['DOUBAN_COOKIE']) {
   fetch_init = {headers: {"Cookie": DOUBAN_COOKIE}}
 }
 
-export async function search_douban(query) {
-  let search_url = `https://movie.douban.com/j/subject_suggest?q=${encodeURIComponent(query)}`;
+/**
+ * 请求豆瓣页面，遇到验证页面时自动处理，验证后得到的 Cookie 会用于之后的请求
+ * 豆瓣电影、读书（lib/douban_book.js）、音乐（lib/douban_music.js）共用
+ * @param {string} link
+ * @return {Promise<string>} 页面内容
+ */
+export async function fetch_douban(link) {
+  let resp = await fetch(link, fetch_init);
+  let text = await resp.text();
+
+  // Check for and solve challenge page
+  let challengeResult = await solveDoubanChallenge(resp.url, text);
+  if (challengeResult.solved) {
+    text = challengeResult.text;
+    // Update fetch_init with session cookies for subsequent requests
+    if (challengeResult.cookies) {
+      fetch_init = {
+        headers: {
+          "Cookie": challengeResult.cookies,
+          "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36"
+        }
+      };
+    }
+  }
+  return text;
+}
+
+// 豆瓣页面的通用异常：资源不存在或被限制访问，正常页面返回 null
+export function douban_page_error(page_raw) {
+  if (page_raw.match(/你想访问的页面不存在/)) {
+    return makeError("not_found", NONE_EXIST_ERROR);
+  } else if (page_raw.match(/检测到有异常请求/)) { // 真的会有这种可能吗？
+    return makeError("upstream_blocked", "GenHelp was temporary banned by Douban, Please wait....");
+  }
+  return null;
+}
+
+/**
+ * 解析读书、音乐页面中 `#info` 块的 `名称: 值` 信息
+ * @param {string} info_html `$("#info").html()`
+ * @return {Object<string, string>} 如 {"作者": "[美] 卡勒德·胡赛尼", "ISBN": "9787208061644"}
+ */
+export function parse_douban_info(info_html) {
+  const info = {};
+  for (const line of (info_html || "").split(/<br\s*\/?>/)) {
+    const text = line.replace(/<[^>]+>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+    const match = text.match(/^([^:：]+?)\s*[:：]\s*(.*)$/);
+    if (match && match[2]) {
+      info[match[1]] = match[2].replace(/\s*\/\s*/g, " / ");
+    }
+  }
+  return info;
+}
+
+/**
+ * 请求豆瓣各子站的搜索建议接口
+ * @param {string} subdomain movie、book 或 music
+ * @param {string} query
+ * @return {Promise<Array<object>|{error: string, error_code: string}>}
+ */
+export async function douban_suggest(subdomain, query) {
+  let search_url = `https://${subdomain}.douban.com/j/subject_suggest?q=${encodeURIComponent(query)}`;
   let douban_search = await fetch(search_url, fetch_init);
   
   // Check for challenge on search endpoint
@@ -31,11 +98,17 @@ export async function search_douban(query) {
     }
   }
   
-  let douban_search_json;
   try {
-    douban_search_json = JSON.parse(search_text);
+    return JSON.parse(search_text);
   } catch (e) {
-    return { error: "Failed to parse search results" };
+    return makeError("parse_failed", "Failed to parse search results");
+  }
+}
+
+export async function search_douban(query) {
+  let douban_search_json = await douban_suggest("movie", query);
+  if (!Array.isArray(douban_search_json)) {
+    return douban_search_json;
   }
 
   return {
@@ -59,33 +132,12 @@ export async function gen_douban(sid) {
 
   // 下面开始正常的豆瓣处理流程
   let douban_link = `https://movie.douban.com/subject/${sid}/`;  // 构造链接
-  let db_page_resp = await fetch(douban_link, fetch_init); // 请求豆瓣对应项目主页面
-  let douban_page_raw = await db_page_resp.text();
-
-  // Check for and solve challenge page
-  let challengeResult = await solveDoubanChallenge(db_page_resp.url, douban_page_raw);
-  if (challengeResult.solved) {
-    douban_page_raw = challengeResult.text;
-    // Update fetch_init with session cookies for subsequent requests
-    if (challengeResult.cookies) {
-      fetch_init = {
-        headers: {
-          "Cookie": challengeResult.cookies,
-          "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36"
-        }
-      };
-    }
-  }
+  let douban_page_raw = await fetch_douban(douban_link); // 请求豆瓣对应项目主页面
 
   // 对异常进行处理
-  if (douban_page_raw.match(/你想访问的页面不存在/)) {
-    return Object.assign(data, {
-      error: NONE_EXIST_ERROR
-    });
-  } else if (douban_page_raw.match(/检测到有异常请求/)) { // 真的会有这种可能吗？
-    return Object.assign(data, {
-      error: "GenHelp was temporary banned by Douban, Please wait...."
-    });
+  let page_error = douban_page_error(douban_page_raw);
+  if (page_error) {
+    return Object.assign(data, page_error);
   } else {
     let awards_page_req = fetch(`${douban_link}awards`, fetch_init); // 马上请求豆瓣获奖界面
 
@@ -98,7 +150,7 @@ export async function gen_douban(sid) {
     let ld_json_script = $('head > script[type="application/ld+json"]');
     if (ld_json_script.length === 0) {
       return Object.assign(data, {
-        error: "Could not find movie data (ld+json). Douban may have changed their page structure."
+        ...makeError("parse_failed", "Could not find movie data (ld+json). Douban may have changed their page structure.")
       });
     }
     
@@ -107,7 +159,7 @@ export async function gen_douban(sid) {
       ld_json = JSON.parse(ld_json_script.html().replace(/(\r\n|\n|\r|\t)/gm, ''));
     } catch (e) {
       return Object.assign(data, {
-        error: "Failed to parse movie data: " + e.message
+        ...makeError("parse_failed", "Failed to parse movie data: " + e.message)
       });
     }
 
@@ -232,30 +284,111 @@ export async function gen_douban(sid) {
       }
     }
 
-    // 生成format
-    let descr = poster ? `[img]${poster}[/img]\n\n` : "";
-    descr += trans_title ? `◎译　　名　${trans_title}\n` : "";
-    descr += this_title ? `◎片　　名　${this_title}\n` : "";
-    descr += year ? `◎年　　代　${year.trim()}\n` : "";
-    descr += region ? `◎产　　地　${region}\n` : "";
-    descr += genre ? `◎类　　别　${genre.join(" / ")}\n` : "";
-    descr += language ? `◎语　　言　${language}\n` : "";
-    descr += playdate ? `◎上映日期　${playdate.join(" / ")}\n` : "";
-    descr += imdb_rating ? `◎IMDb评分  ${imdb_rating}\n` : "";
-    descr += imdb_link ? `◎IMDb链接  ${imdb_link}\n` : "";
-    descr += douban_rating ? `◎豆瓣评分　${douban_rating}\n` : "";
-    descr += douban_link ? `◎豆瓣链接　${douban_link}\n` : "";
-    descr += episodes ? `◎集　　数　${episodes}\n` : "";
-    descr += duration ? `◎片　　长　${duration}\n` : "";
-    descr += director && director.length > 0 ? `◎导　　演　${director.map(x => x['name']).join(" / ")}\n` : "";
-    descr += writer && writer.length > 0 ? `◎编　　剧　${writer.map(x => x['name']).join(" / ")}\n` : "";
-    descr += cast && cast.length > 0 ? `◎主　　演　${cast.map(x => x['name']).join("\n" + "　".repeat(4) + "  　").trim()}\n` : "";
-    descr += tags && tags.length > 0 ? `\n◎标　　签　${tags.join(" | ")}\n` : "";
-    descr += introduction ? `\n◎简　　介\n\n　　${introduction.replace(/\n/g, "\n" + "　".repeat(2))}\n` : "";
-    descr += awards ? `\n◎获奖情况\n\n　　${awards.replace(/\n/g, "\n" + "　".repeat(2))}\n` : "";
-
-    data["format"] = descr.trim();
+    data["format"] = render(format_douban(data));
     data["success"] = true; // 更新状态为成功
     return data;
   }
 }
+
+// 生成format
+export function format_douban(data) {
+  const {poster, year, region, genre, language, playdate, imdb_rating, imdb_link, douban_rating} = data;
+  const {episodes, duration, director, writer, cast, tags, introduction, awards} = data;
+  const {metascore, popularity, cast_en, imdb_release_date} = data; // 合并 IMDb 时才有，见 merge_imdb()
+  const trans_title = (data["trans_title"] || []).join("/");
+  const this_title = (data["this_title"] || []).join("/");
+  const douban_link = `https://movie.douban.com/subject/${data["sid"]}/`;
+
+  return [
+    poster ? [image(poster), "\n\n"] : "",
+    trans_title ? `◎译　　名　${trans_title}\n` : "",
+    this_title ? `◎片　　名　${this_title}\n` : "",
+    year ? `◎年　　代　${year.trim()}\n` : "",
+    region ? `◎产　　地　${region}\n` : "",
+    genre ? `◎类　　别　${genre.join(" / ")}\n` : "",
+    language ? `◎语　　言　${language}\n` : "",
+    playdate ? `◎上映日期　${playdate.join(" / ")}\n` : "",
+    imdb_rating ? `◎IMDb评分  ${imdb_rating}\n` : "",
+    imdb_link ? `◎IMDb链接  ${imdb_link}\n` : "",
+    metascore ? `◎Metascore ${metascore}/100\n` : "",
+    popularity ? `◎IMDb人气  #${popularity}\n` : "",
+    douban_rating ? `◎豆瓣评分　${douban_rating}\n` : "",
+    douban_link ? `◎豆瓣链接　${douban_link}\n` : "",
+    episodes ? `◎集　　数　${episodes}\n` : "",
+    duration ? `◎片　　长　${duration}\n` : "",
+    director && director.length > 0 ? `◎导　　演　${director.map(x => x['name']).join(" / ")}\n` : "",
+    writer && writer.length > 0 ? `◎编　　剧　${writer.map(x => x['name']).join(" / ")}\n` : "",
+    cast && cast.length > 0 ? `◎主　　演　${cast.map(x => x['name']).join("\n" + "　".repeat(4) + "  　").trim()}\n` : "",
+    cast_en && cast_en.length > 0 ? `◎英文主演　${cast_en.join(" / ")}\n` : "",
+    tags && tags.length > 0 ? `\n◎标　　签　${tags.join(" | ")}\n` : "",
+    introduction ? `\n◎简　　介\n\n　　${introduction.replace(/\n/g, "\n" + "　".repeat(2))}\n` : "",
+    awards ? `\n◎获奖情况\n\n　　${awards.replace(/\n/g, "\n" + "　".repeat(2))}\n` : "",
+    imdb_release_date && imdb_release_date.length > 0 ? `\n◎各地上映\n\n　　${imdb_release_date.map(d => `${d.country}: ${d.date}`).join("\n　　")}\n` : ""
+  ];
+}
+
+/**
+ * 合并 IMDb 的生成结果（`merge=imdb`），见 lib/provider.js 的 generateMerged()
+ * 补充 Metascore、人气排名、各地上映日期及英文演员名，IMDb 评分以 IMDb 页面为准（p.media-imdb.com 经常没有返回）
+ * @param {object} data douban 的生成结果
+ * @param {object} imdb_data imdb 的生成结果，见 lib/imdb.js
+ */
+export function merge_imdb(data, imdb_data) {
+  const merged = Object.assign({}, data);
+  if (imdb_data["imdb_votes"]) {
+    merged["imdb_rating_average"] = imdb_data["imdb_rating_average"];
+    merged["imdb_votes"] = imdb_data["imdb_votes"];
+    merged["imdb_rating"] = imdb_data["imdb_rating"];
+  }
+  if (imdb_data["metascore"]) merged["metascore"] = imdb_data["metascore"];
+  if (imdb_data["popularity"]) merged["popularity"] = imdb_data["popularity"];
+  merged["imdb_release_date"] = imdb_data["release_date"] || [];
+  merged["cast_en"] = (imdb_data["actors"] || []).map(x => x["name"]);
+  merged["format"] = render(format_douban(merged));
+  return merged;
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_douban(data) {
+  return normalized(data, {
+    type: data["episodes"] ? "tv" : "movie",
+    link: `https://movie.douban.com/subject/${data["sid"]}/`,
+    titles: {
+      main: data["chinese_title"],
+      original: data["foreign_title"] || data["chinese_title"],
+      localized: data["trans_title"],
+      aliases: data["aka"]
+    },
+    year: data["year"],
+    release_date: (data["playdate"] || [])[0],
+    genres: data["genre"],
+    tags: data["tags"],
+    languages: data["language"],
+    regions: data["region"],
+    runtime: data["duration"],
+    description: data["introduction"],
+    people: [...people(data["director"], "director"), ...people(data["writer"], "writer"), ...people(data["cast"], "actor")],
+    ratings: [
+      rating("douban", data["douban_rating_average"], 10, data["douban_votes"]),
+      rating("imdb", data["imdb_rating_average"], 10, data["imdb_votes"]),
+      rating("metacritic", data["metascore"], 100)
+    ],
+    poster: data["poster"],
+    external_ids: {douban: data["sid"], imdb: data["imdb_id"]}
+  });
+}
+
+export const provider = {
+  name: "douban",
+  patterns: [
+    // 前面不能是其他子域名，避免匹配到 book.douban.com、music.douban.com 的链接
+    /(?<![\w.])(?:https?:\/\/)?(?:(?:movie|www)\.)?douban\.com\/(?:subject|movie)\/(\d+)\/?/
+  ],
+  search: search_douban,
+  gen: gen_douban,
+  format: format_douban,
+  normalize: normalize_douban,
+  merge: {
+    imdb: {sid: data => data["imdb_id"], merge: merge_imdb}
+  }
+};
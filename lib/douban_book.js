@@ -0,0 +1,170 @@
+import {page_parser} from "./common";
+import {douban_page_error, douban_suggest, fetch_douban, parse_douban_info} from "./douban";
+import {makeError} from "./error";
+import {image, render} from "./format";
+import {normalized, people, rating} from "./normalize";
+
+export async function search_douban_book(query) {
+  let douban_search_json = await douban_suggest("book", query);
+  if (!Array.isArray(douban_search_json)) {
+    return douban_search_json;
+  }
+
+  return {
+    data: douban_search_json.map(d => {
+      return {
+        year: d.year,
+        subtype: "book",
+        title: d.title,
+        subtitle: d.author_name,
+        link: `https://book.douban.com/subject/${d.id}/`
+      }
+    })
+  }
+}
+
+// 取得标题（如 "内容简介"、"作者简介"）后面的介绍，有折叠时使用完整的内容
+function douban_intro($, heading) {
+  let indent = $(`h2:contains("${heading}")`).first().nextAll("div.indent").first();
+  let intro = indent.find("span.all.hidden .intro");
+  if (intro.length === 0) {
+    intro = indent.find(".intro").first();
+  }
+  return intro.find("p").map(function () {
+    return $(this).text().trim();
+  }).get().filter(p => p.length > 0).join("\n");
+}
+
+export async function gen_douban_book(sid) {
+  let data = {
+    site: "douban_book",
+    sid: sid
+  };
+
+  let douban_link = `https://book.douban.com/subject/${sid}/`;  // 构造链接
+  let douban_page_raw = await fetch_douban(douban_link);
+
+  // 对异常进行处理
+  let page_error = douban_page_error(douban_page_raw);
+  if (page_error) {
+    return Object.assign(data, page_error);
+  }
+
+  let $ = page_parser(douban_page_raw);
+  let info = parse_douban_info($("#info").html());
+  let split_names = value => value ? value.split(" / ") : [];
+
+  data["douban_link"] = douban_link;
+  data["title"] = $('span[property="v:itemreviewed"]').text().trim();
+  if (!data["title"]) {
+    return Object.assign(data, makeError("parse_failed", "Could not find the book title. Douban may have changed their page structure."));
+  }
+  data["subtitle"] = info["副标题"] || "";
+  data["origin_title"] = info["原作名"] || "";
+  data["author"] = split_names(info["作者"]);
+  data["translator"] = split_names(info["译者"]);
+  data["publisher"] = info["出版社"] || "";
+  data["producer"] = info["出品方"] || "";
+  data["publish_date"] = info["出版年"] || "";
+  data["pages"] = info["页数"] || "";
+  data["price"] = info["定价"] || "";
+  data["binding"] = info["装帧"] || "";
+  data["series"] = info["丛书"] || "";
+  data["isbn"] = info["ISBN"] || info["统一书号"] || "";
+
+  let poster = $("#mainpic a.nbg");
+  data["poster"] = poster.length > 0 ? poster.attr("href") : "";
+
+  // 评分信息
+  data["douban_rating_average"] = $('strong[property="v:average"]').text().trim() || 0;
+  data["douban_votes"] = $('span[property="v:votes"]').text().trim() || 0;
+  data["douban_rating"] = `${data["douban_rating_average"]}/10 from ${data["douban_votes"]} users`;
+
+  data["tags"] = $("#db-tags-section a.tag").map(function () {
+    return $(this).text().trim();
+  }).get();
+
+  data["introduction"] = douban_intro($, "内容简介");
+  data["author_intro"] = douban_intro($, "作者简介");
+
+  // 目录，优先使用完整目录
+  let contents_another = $(`#dir_${sid}_full`);
+  if (contents_another.length === 0) {
+    contents_another = $(`#dir_${sid}_short`);
+  }
+  data["contents"] = (contents_another.html() || "")
+    .split(/<br\s*\/?>/)
+    .map(line => line.replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ").trim())
+    .filter(line => line.length > 0 && !/^[·\s]+(?:\(\s*(?:收起|更多)\s*\))?$/.test(line))
+    .join("\n");
+
+  data["format"] = render(format_douban_book(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_douban_book(data) {
+  const {poster, title, subtitle, origin_title, author, translator, publisher, producer} = data;
+  const {publish_date, pages, price, binding, series, isbn, douban_rating, douban_link} = data;
+  const {tags, introduction, author_intro, contents} = data;
+  const indent = text => text.replace(/\n/g, "\n" + "　".repeat(2));
+
+  return [
+    poster ? [image(poster), "\n\n"] : "",
+    title ? `◎书　　名　${title}\n` : "",
+    subtitle ? `◎副 标 题　${subtitle}\n` : "",
+    origin_title ? `◎原 作 名　${origin_title}\n` : "",
+    author && author.length > 0 ? `◎作　　者　${author.join(" / ")}\n` : "",
+    translator && translator.length > 0 ? `◎译　　者　${translator.join(" / ")}\n` : "",
+    publisher ? `◎出 版 社　${publisher}\n` : "",
+    producer ? `◎出 品 方　${producer}\n` : "",
+    publish_date ? `◎出 版 年　${publish_date}\n` : "",
+    pages ? `◎页　　数　${pages}\n` : "",
+    price ? `◎定　　价　${price}\n` : "",
+    binding ? `◎装　　帧　${binding}\n` : "",
+    series ? `◎丛　　书　${series}\n` : "",
+    isbn ? `◎ＩＳＢＮ　${isbn}\n` : "",
+    douban_rating ? `◎豆瓣评分　${douban_rating}\n` : "",
+    douban_link ? `◎豆瓣链接　${douban_link}\n` : "",
+    tags && tags.length > 0 ? `\n◎标　　签　${tags.join(" | ")}\n` : "",
+    introduction ? `\n◎内容简介\n\n　　${indent(introduction)}\n` : "",
+    author_intro ? `\n◎作者简介\n\n　　${indent(author_intro)}\n` : "",
+    contents ? `\n◎目　　录\n\n　　${indent(contents)}\n` : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_douban_book(data) {
+  return normalized(data, {
+    type: "book",
+    link: data["douban_link"],
+    titles: {
+      main: data["title"],
+      original: data["origin_title"] || data["title"],
+      aliases: [data["subtitle"] ? `${data["title"]}: ${data["subtitle"]}` : ""]
+    },
+    release_date: data["publish_date"],
+    tags: data["tags"],
+    description: data["introduction"],
+    people: [
+      ...people(data["author"], "author"),
+      ...people(data["translator"], "translator"),
+      ...people([data["publisher"]], "publisher")
+    ],
+    ratings: [rating("douban", data["douban_rating_average"], 10, data["douban_votes"])],
+    poster: data["poster"],
+    external_ids: {douban: data["sid"], isbn: data["isbn"]}
+  });
+}
+
+export const provider = {
+  name: "douban_book",
+  patterns: [
+    /(?:https?:\/\/)?book\.douban\.com\/subject\/(\d+)\/?/
+  ],
+  search: search_douban_book,
+  gen: gen_douban_book,
+  format: format_douban_book,
+  normalize: normalize_douban_book
+};
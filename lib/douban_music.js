@@ -0,0 +1,147 @@
+import {page_parser} from "./common";
+import {douban_page_error, douban_suggest, fetch_douban, parse_douban_info} from "./douban";
+import {makeError} from "./error";
+import {image, render} from "./format";
+import {normalized, people, rating} from "./normalize";
+
+export async function search_douban_music(query) {
+  let douban_search_json = await douban_suggest("music", query);
+  if (!Array.isArray(douban_search_json)) {
+    return douban_search_json;
+  }
+
+  return {
+    data: douban_search_json.map(d => {
+      return {
+        year: d.year,
+        subtype: "music",
+        title: d.title,
+        subtitle: d.author_name,
+        link: `https://music.douban.com/subject/${d.id}/`
+      }
+    })
+  }
+}
+
+// 将以 <br> 分行的 HTML 转为文本行
+function html_lines(html) {
+  return (html || "")
+    .split(/<br\s*\/?>/)
+    .map(line => line.replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").trim())
+    .filter(line => line.length > 0);
+}
+
+export async function gen_douban_music(sid) {
+  let data = {
+    site: "douban_music",
+    sid: sid
+  };
+
+  let douban_link = `https://music.douban.com/subject/${sid}/`;  // 构造链接
+  let douban_page_raw = await fetch_douban(douban_link);
+
+  // 对异常进行处理
+  let page_error = douban_page_error(douban_page_raw);
+  if (page_error) {
+    return Object.assign(data, page_error);
+  }
+
+  let $ = page_parser(douban_page_raw);
+  let info = parse_douban_info($("#info").html());
+
+  data["douban_link"] = douban_link;
+  data["title"] = $("#wrapper > h1 > span").first().text().trim();
+  if (!data["title"]) {
+    return Object.assign(data, makeError("parse_failed", "Could not find the album title. Douban may have changed their page structure."));
+  }
+  data["aka"] = info["又名"] ? info["又名"].split(" / ") : [];
+  data["artist"] = info["表演者"] ? info["表演者"].split(" / ") : [];
+  data["genre"] = info["流派"] || "";
+  data["release_type"] = info["专辑类型"] || "";
+  data["media"] = info["介质"] || "";
+  data["release_date"] = info["发行时间"] || "";
+  data["label"] = info["出版者"] || "";
+  data["discs"] = info["唱片数"] || "";
+  data["barcode"] = info["条形码"] || "";
+
+  let poster = $("#mainpic a.nbg");
+  data["poster"] = poster.length > 0 ? poster.attr("href") : "";
+
+  // 评分信息
+  data["douban_rating_average"] = $('strong[property="v:average"]').text().trim() || 0;
+  data["douban_votes"] = $('span[property="v:votes"]').text().trim() || 0;
+  data["douban_rating"] = `${data["douban_rating_average"]}/10 from ${data["douban_votes"]} users`;
+
+  data["tags"] = $("#db-tags-section a").map(function () {
+    return $(this).text().trim();
+  }).get();
+
+  // 简介，有折叠时使用完整的内容
+  let introduction_another = $("#link-report > span.all.hidden, #link-report > span[property=\"v:summary\"]").first();
+  data["introduction"] = html_lines(introduction_another.html()).join("\n");
+
+  // 曲目
+  data["tracklist"] = html_lines($("div.track-list div.indent > div").html());
+  if (data["tracklist"].length === 0) {
+    data["tracklist"] = $("ul.track-list li").map(function () {
+      return $(this).text().trim();
+    }).get();
+  }
+
+  data["format"] = render(format_douban_music(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_douban_music(data) {
+  const {poster, title, aka, artist, genre, release_type, media, release_date, label, discs, barcode} = data;
+  const {douban_rating, douban_link, tags, introduction, tracklist} = data;
+
+  return [
+    poster ? [image(poster), "\n\n"] : "",
+    title ? `◎专 辑 名　${title}\n` : "",
+    aka && aka.length > 0 ? `◎又　　名　${aka.join(" / ")}\n` : "",
+    artist && artist.length > 0 ? `◎表 演 者　${artist.join(" / ")}\n` : "",
+    genre ? `◎流　　派　${genre}\n` : "",
+    release_type ? `◎专辑类型　${release_type}\n` : "",
+    media ? `◎介　　质　${media}\n` : "",
+    release_date ? `◎发行时间　${release_date}\n` : "",
+    label ? `◎出 版 者　${label}\n` : "",
+    discs ? `◎唱 片 数　${discs}\n` : "",
+    barcode ? `◎条 形 码　${barcode}\n` : "",
+    douban_rating ? `◎豆瓣评分　${douban_rating}\n` : "",
+    douban_link ? `◎豆瓣链接　${douban_link}\n` : "",
+    tags && tags.length > 0 ? `\n◎标　　签　${tags.join(" | ")}\n` : "",
+    introduction ? `\n◎简　　介\n\n　　${introduction.replace(/\n/g, "\n" + "　".repeat(2))}\n` : "",
+    tracklist && tracklist.length > 0 ? `\n◎曲　　目\n\n　　${tracklist.join("\n" + "　".repeat(2))}\n` : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_douban_music(data) {
+  return normalized(data, {
+    type: "music",
+    link: data["douban_link"],
+    titles: {main: data["title"], aliases: data["aka"]},
+    release_date: data["release_date"],
+    genres: [data["genre"]],
+    tags: data["tags"],
+    description: data["introduction"],
+    people: [...people(data["artist"], "artist"), ...people([data["label"]], "label")],
+    ratings: [rating("douban", data["douban_rating_average"], 10, data["douban_votes"])],
+    poster: data["poster"],
+    external_ids: {douban: data["sid"], barcode: data["barcode"]}
+  });
+}
+
+export const provider = {
+  name: "douban_music",
+  patterns: [
+    /(?:https?:\/\/)?music\.douban\.com\/subject\/(\d+)\/?/
+  ],
+  search: search_douban_music,
+  gen: gen_douban_music,
+  format: format_douban_music,
+  normalize: normalize_douban_music
+};
@@ -1,4 +1,59 @@
 import {NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {image, image_list, render} from "./format";
+import {normalized} from "./normalize";
+
+const SEARCH_QUERY = `query searchStoreQuery($keywords: String, $locale: String, $country: String!, $count: Int) {
+  Catalog {
+    searchStore(keywords: $keywords, locale: $locale, country: $country, count: $count, category: "games/edition/base") {
+      elements {
+        title
+        productSlug
+        effectiveDate
+        seller { name }
+        catalogNs { mappings(pageType: "productHome") { pageSlug } }
+      }
+    }
+  }
+}`;
+
+// 搜索，使用商店前端的 GraphQL 接口，只返回游戏本体
+export async function search_epic(query) {
+  let epic_search_resp = await fetch("https://graphql.epicgames.com/graphql", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      query: SEARCH_QUERY,
+      variables: {keywords: query, locale: "zh-CN", country: "CN", count: 20}
+    })
+  });
+  if (!epic_search_resp.ok) {
+    return makeError("upstream_blocked", `Epic Games Store returned HTTP ${epic_search_resp.status}.`);
+  }
+
+  let epic_search_json = await epic_search_resp.json();
+  let search_store = ((epic_search_json["data"] || {})["Catalog"] || {})["searchStore"];
+  let results = [];
+  for (const d of search_store ? search_store["elements"] : []) {
+    // 部分游戏的 productSlug 为空或带有 `/home` 后缀，此时使用商店页面的 slug
+    let mapping = ((d["catalogNs"] || {})["mappings"] || [])[0];
+    let slug = (d["productSlug"] || (mapping ? mapping["pageSlug"] : "")).replace(/\/home$/, "");
+    if (!slug) continue; // 没有商店页面的（如捆绑包）无法生成简介
+    results.push({
+      year: (d["effectiveDate"] || "").slice(0, 4),
+      subtype: "游戏",
+      title: d["title"],
+      subtitle: d["seller"] ? d["seller"]["name"] : "",
+      link: `https://www.epicgames.com/store/zh-CN/product/${slug}/home`
+    });
+  }
+
+  return {
+    data: results
+  }
+}
 
 export async function gen_epic(sid) {
   let data = {
@@ -9,7 +64,7 @@ export async function gen_epic(sid) {
   let epic_api_resp = await fetch(`https://store-content.ak.epicgames.com/api/zh-CN/content/products/${sid}`);
   if (epic_api_resp.status === 404) { // 当接口返回404时内容不存在，200则继续解析
     return Object.assign(data, {
-      error: NONE_EXIST_ERROR
+      ...makeError("not_found", NONE_EXIST_ERROR)
     });
   }
 
@@ -59,14 +114,22 @@ export async function gen_epic(sid) {
   });
   data["level"] = requirements["legalTags"].map(x => x["src"]);
 
-  // 生成format
-  let descr = (data["logo"] && data["logo"].length > 0) ? `[img]${data["logo"]}[/img]\n\n` : "";
-  descr += "【基本信息】\n\n"; // 基本信息为原来的baseinfo块
-  descr += (data["name"] && data["name"].length > 0) ? `游戏名称：${data["name"]}\n` : "";
-  descr += (data["epic_link"] && data["epic_link"].length > 0) ? `商店链接：${data["epic_link"]}\n` : "";
-  descr += "\n";
-  descr += (data["language"] && data["language"].length > 0) ? `【支持语言】\n\n${data["language"].join("\n")}\n\n` : "";
-  descr += (data["desc"] && data["desc"].length > 0) ? `【游戏简介】\n\n${data["desc"]}\n\n` : "";
+  data["format"] = render(format_epic(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_epic(data) {
+  let descr = [
+    (data["logo"] && data["logo"].length > 0) ? [image(data["logo"]), "\n\n"] : "",
+    "【基本信息】\n\n", // 基本信息为原来的baseinfo块
+    (data["name"] && data["name"].length > 0) ? `游戏名称：${data["name"]}\n` : "",
+    (data["epic_link"] && data["epic_link"].length > 0) ? `商店链接：${data["epic_link"]}\n` : "",
+    "\n",
+    (data["language"] && data["language"].length > 0) ? `【支持语言】\n\n${data["language"].join("\n")}\n\n` : "",
+    (data["desc"] && data["desc"].length > 0) ? `【游戏简介】\n\n${data["desc"]}\n\n` : ""
+  ];
 
   let req_list = {
     "min_req": "【最低配置】",
@@ -74,17 +137,40 @@ export async function gen_epic(sid) {
   };
   for (let req in req_list) {
     if (Object.entries(data[req]).length === 0 && data[req].constructor === Object) continue;
-    descr += `${req_list[req]}\n\n`;
+    descr.push(`${req_list[req]}\n\n`);
     for (let system in data[req]) {
       // noinspection JSUnfilteredForInLoop
-      descr += `${system}\n${data[req][system].join("\n")}\n`;
+      descr.push(`${system}\n${data[req][system].join("\n")}\n`);
     }
-    descr += "\n\n";
+    descr.push("\n\n");
   }
-  descr += (data["screenshot"] && data["screenshot"].length > 0) ? `【游戏截图】\n\n${data["screenshot"].map(x => `[img]${x}[/img]`).join("\n")}\n\n` : "";
-  descr += (data["level"] && data["level"].length > 0) ? `【游戏评级】\n\n${data["level"].map(x => `[img]${x}[/img]`).join("\n")}\n\n` : "";
+  descr.push(
+    (data["screenshot"] && data["screenshot"].length > 0) ? ["【游戏截图】\n\n", image_list(data["screenshot"]), "\n\n"] : "",
+    (data["level"] && data["level"].length > 0) ? ["【游戏评级】\n\n", image_list(data["level"]), "\n\n"] : ""
+  );
+  return descr;
+}
 
-  data["format"] = descr.trim();
-  data["success"] = true; // 更新状态为成功
-  return data;
+// 统一结构，见 lib/normalize.js
+export function normalize_epic(data) {
+  return normalized(data, {
+    type: "game",
+    link: data["epic_link"],
+    titles: {main: data["name"]},
+    description: data["desc"],
+    poster: data["poster"],
+    screenshots: data["screenshot"],
+    external_ids: {epic: data["sid"]}
+  });
 }
+
+export const provider = {
+  name: "epic",
+  patterns: [
+    /(?:https?:\/\/)?www\.epicgames\.com\/store\/[a-zA-Z-]+\/product\/(\S+)\/\S?/
+  ],
+  search: search_epic,
+  gen: gen_epic,
+  format: format_epic,
+  normalize: normalize_epic
+};
@@ -1,3 +1,60 @@
+import {makeJsonResponse} from "./common";
+
+/**
+ * 错误代码及对应的HTTP状态码
+ * 返回的 `error` 为给人看的说明，可能随版本变化；客户端应使用 `error_code` 判断错误类型
+ */
+export const ERROR_STATUS = {
+  invalid_request: 400, // 缺少字段或字段值不合法
+  unsupported_site: 400, // 不支持的站点、链接或搜索来源
+  template_error: 400, // 模板不存在或无法渲染
+  auth_required: 403, // 缺少或错误的 apikey
+  forbidden: 403, // apikey 无权使用该功能或站点
+  search_disabled: 403, // 已通过 DISABLE_SEARCH 关闭搜索
+  not_found: 404, // 资源在对应站点不存在
+  method_not_allowed: 405,
+  quota_exceeded: 429, // apikey 当日请求数已达上限
+  rate_limited: 429, // 请求过于频繁，见 lib/ratelimit.js
+  internal_error: 500,
+  storage_unavailable: 501, // 功能需要 KV Storage
+  not_configured: 503, // 站点需要的环境变量未设置，如 TMDB_API_TOKEN
+  upstream_blocked: 502, // 被对应站点限制访问
+  parse_failed: 502 // 对应站点返回的页面无法解析
+};
+
+/**
+ * 构造错误结果，可直接合并进生成结果中
+ * @param {string} error_code ERROR_STATUS 中的键
+ * @param {string} message
+ * @return {{error: string, error_code: string}}
+ */
+export function makeError(error_code, message) {
+  return {error: message, error_code: error_code};
+}
+
+// 结果对应的HTTP状态码，没有错误时为 200
+export function errorStatus(data) {
+  if (!data || !data.error) {
+    return 200;
+  }
+  return ERROR_STATUS[data.error_code] || 500;
+}
+
+// 返回错误，状态码由错误代码决定
+export function makeErrorResponse(error_code, message) {
+  return makeErrorDataResponse(makeError(error_code, message));
+}
+
+// 同上，参数为 makeError() 构造的错误结果，带有 retry_after 时同时设置 Retry-After 响应头
+// 与生成结果使用相同的响应结构（success、format 等字段），所有接口的错误响应一致
+export function makeErrorDataResponse(error) {
+  const response = makeJsonResponse(error, errorStatus(error));
+  if (error.retry_after) {
+    response.headers.set("Retry-After", String(error.retry_after));
+  }
+  return response;
+}
+
 export default function debug_get_err(err, request) {
   const errType = err.name || (err.contructor || {}).name;
   const frames = parse_err(err);
@@ -0,0 +1,194 @@
+/**
+ * 简介渲染器
+ * 各站点模块使用下列节点组成与输出语法无关的简介（数组，可嵌套），再由 render() 按 `format_type` 输出：
+ *  - "字符串"：普通文本
+ *  - image(url)：图片，image_list(urls) 为每行一张的图片列表
+ *  - bold(text)：加粗
+ *  - link(text, url)：链接
+ *  - bbcode(text)：已经是BBCode的内容（如 html2bbcode 的转换结果），会被转换为对应语法
+ *  - table(rows)：表格，rows 为字符串的二维数组，第一行为表头
+ *  - code(text)：保留原样的代码块，如 MediaInfo 的原始输出
+ */
+
+export const FORMAT_TYPES = ["bbcode", "markdown", "html", "plain"];
+
+export function image(url) {
+  return {type: "image", url: url};
+}
+
+export function image_list(urls) {
+  return urls.map((url, index) => index > 0 ? ["\n", image(url)] : image(url));
+}
+
+export function bold(text) {
+  return {type: "bold", text: text};
+}
+
+export function link(text, url) {
+  return {type: "link", text: text, url: url};
+}
+
+export function bbcode(text) {
+  return {type: "bbcode", text: text};
+}
+
+export function table(rows) {
+  return {type: "table", rows: rows};
+}
+
+export function code(text) {
+  return {type: "code", text: text};
+}
+
+function escape_markdown(text) {
+  return text
+    .replace(/([\\`*_[\]<>])/g, "\\$1")
+    .replace(/^([#+-])/gm, "\\$1");
+}
+
+function escape_html(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const escape_list = {
+  bbcode: text => text,
+  markdown: escape_markdown,
+  html: escape_html,
+  plain: text => text
+};
+
+const node_render_list = {
+  bbcode: {
+    image: n => `[img]${n.url}[/img]`,
+    bold: n => `[b]${n.text}[/b]`,
+    link: n => `[url=${n.url}]${n.text}[/url]`,
+    table: n => "[table]" + n.rows.map(row => "[tr]" + row.map(c => `[td]${c}[/td]`).join("") + "[/tr]").join("\n") + "[/table]",
+    code: n => `[code]${n.text}[/code]`
+  },
+  markdown: {
+    image: n => `![](${n.url})`,
+    bold: n => n.text.replace(/^(\s*)([\s\S]*?)(\s*)$/, (_, l, t, r) => `${l}**${escape_markdown(t)}**${r}`), // 空格须在**外
+    link: n => `[${escape_markdown(n.text)}](${n.url})`,
+    table: n => n.rows.map((row, index) => {
+      const line = "| " + row.map(c => escape_markdown(c).replace(/\|/g, "\\|")).join(" | ") + " |";
+      return index === 0 ? line + "\n|" + row.map(() => " --- |").join("") : line;
+    }).join("\n"),
+    code: n => "```\n" + n.text + "\n```"
+  },
+  html: {
+    image: n => `<img src="${escape_html(n.url)}">`,
+    bold: n => `<b>${escape_html(n.text)}</b>`,
+    link: n => `<a href="${escape_html(n.url)}">${escape_html(n.text)}</a>`,
+    // 表格内不能有换行，否则会被 render() 转换为 <br>
+    table: n => "<table>" + n.rows.map((row, index) => {
+      const tag = index === 0 ? "th" : "td";
+      return "<tr>" + row.map(c => `<${tag}>${escape_html(c)}</${tag}>`).join("") + "</tr>";
+    }).join("") + "</table>",
+    // 与表格相同，换行使用字符实体
+    code: n => "<pre>" + escape_html(n.text).replace(/\n/g, "&#10;") + "</pre>"
+  },
+  plain: {
+    image: n => n.url,
+    bold: n => n.text,
+    link: n => `${n.text} ${n.url}`,
+    table: n => n.rows.map(row => row.join("  ")).join("\n"),
+    code: n => n.text
+  }
+};
+
+// BBCode 标签到其他语法的对应关系，值为 [开标签, 闭标签]，可以为函数以使用标签参数
+const bbcode_tag_list = {
+  markdown: {
+    b: ["**", "**"], i: ["*", "*"], s: ["~~", "~~"], li: ["- ", ""],
+    code: ["\n```\n", "\n```\n"], quote: ["\n> ", "\n"],
+    h1: ["# ", ""], h2: ["## ", ""], h3: ["### ", ""], h4: ["#### ", ""], h5: ["##### ", ""], h6: ["###### ", ""]
+  },
+  html: {
+    b: ["<b>", "</b>"], i: ["<i>", "</i>"], u: ["<u>", "</u>"], s: ["<s>", "</s>"],
+    center: ['<div style="text-align: center">', "</div>"],
+    ul: ["<ul>", "</ul>"], ol: ["<ol>", "</ol>"], li: ["<li>", "</li>"],
+    code: ["<pre>", "</pre>"], quote: ["<blockquote>", "</blockquote>"],
+    color: [arg => `<span style="color: ${escape_html(arg)}">`, "</span>"],
+    h1: ["<h1>", "</h1>"], h2: ["<h2>", "</h2>"], h3: ["<h3>", "</h3>"],
+    h4: ["<h4>", "</h4>"], h5: ["<h5>", "</h5>"], h6: ["<h6>", "</h6>"]
+  },
+  plain: {
+    li: ["- ", ""]
+  }
+};
+
+// 将BBCode转换为其他语法，[img] 与 [url] 单独处理，其余不认识的标签直接丢弃
+function convert_bbcode(text, format_type) {
+  const nodes = node_render_list[format_type];
+  const escape = escape_list[format_type];
+  const tags = bbcode_tag_list[format_type];
+
+  let out = "";
+  let url_stack = [];
+  const tokens = text.split(/(\[\/?[a-z0-9*]+(?:=[^\]]*)?])/i);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const tag_match = token.match(/^\[(\/?)([a-z0-9*]+)(?:=([^\]]*))?]$/i);
+    if (!tag_match) {
+      out += escape(token);
+      continue;
+    }
+
+    const [, closing, name_raw, arg] = tag_match;
+    const name = name_raw.toLowerCase();
+    if (name === "img" && !closing) {
+      // [img]url[/img]
+      out += nodes.image({url: tokens[i + 1] || ""});
+      i += 2;
+    } else if (name === "url" && !closing) {
+      let url = arg;
+      if (!url) { // [url]url[/url]
+        url = tokens[i + 1] || "";
+      }
+      url_stack.push(url);
+      out += format_type === "markdown" ? "[" : (format_type === "html" ? `<a href="${escape_html(url)}">` : "");
+    } else if (name === "url") {
+      const url = url_stack.pop() || "";
+      out += format_type === "markdown" ? `](${url})` : (format_type === "html" ? "</a>" : ` ${url}`);
+    } else if (tags[name]) {
+      const tag = tags[name][closing ? 1 : 0];
+      out += typeof tag === "function" ? tag(arg || "") : tag;
+    }
+  }
+  return out;
+}
+
+function render_node(node, format_type) {
+  if (Array.isArray(node)) {
+    return node.map(n => render_node(n, format_type)).join("");
+  } else if (node === null || node === undefined || node === false) {
+    return "";
+  } else if (typeof node !== "object") {
+    return escape_list[format_type](String(node));
+  } else if (node.type === "bbcode") {
+    return format_type === "bbcode" ? node.text : convert_bbcode(node.text, format_type);
+  } else {
+    return node_render_list[format_type][node.type](node);
+  }
+}
+
+/**
+ * 将简介节点渲染为对应语法的字符串
+ * @param descr 简介节点
+ * @param {string} format_type bbcode, markdown, html, plain 之一
+ * @return {string}
+ */
+export function render(descr, format_type = "bbcode") {
+  let out = render_node(descr, format_type).trim();
+  if (format_type === "markdown") {
+    // Markdown中单个换行需要行尾两个空格，代码块（```）内的内容保持原样
+    out = out.split(/(```\n[\s\S]*?\n```)/).map((part, i) => i % 2 === 1 ? part : part.replace(/([^\n])\n(?=[^\n])/g, "$1  \n")).join("");
+  } else if (format_type === "html") {
+    out = out.replace(/\n/g, "<br>\n");
+  }
+  return out;
+}
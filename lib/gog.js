@@ -0,0 +1,164 @@
+import {NONE_EXIST_ERROR, html2bbcode} from "./common";
+import {makeError} from "./error";
+import {bbcode, image, image_list, render} from "./format";
+import {normalized, people, rating} from "./normalize";
+
+/**
+ * GOG，通过 GOG 的公开商店 API 获取游戏信息
+ *  - sid 为商店链接中的 slug（如 `the_witcher_3_wild_hunt_game_of_the_year_edition`）或数字形式的产品 id
+ *  - slug 需要先请求商店页面取得产品 id
+ */
+
+const os_dict = {
+  "windows": "Windows",
+  "osx": "Mac OS X",
+  "linux": "Linux"
+};
+
+const sysreq_type_dict = {
+  "minimum": "最低配置",
+  "recommended": "推荐配置"
+};
+
+// 由商店页面取得产品 id，页面不存在时返回 null
+async function gog_product_id(slug) {
+  let gog_page_resp = await fetch(`https://www.gog.com/en/game/${slug}`, {redirect: "manual"});
+  if (gog_page_resp.status !== 200) { // 不存在的游戏会被重定向到游戏列表
+    return null;
+  }
+  let id_match = (await gog_page_resp.text()).match(/card-product="(\d+)"/);
+  return id_match ? id_match[1] : null;
+}
+
+export async function gen_gog(sid) {
+  let data = {
+    site: "gog",
+    sid: sid
+  };
+
+  let product_id = /^\d+$/.test(sid) ? sid : await gog_product_id(sid);
+  if (!product_id) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+
+  // 立即请求附加资源
+  let gog_rating_req = fetch(`https://reviews.gog.com/v1/products/${product_id}/averageRating?reviewer=verified_owner`);
+
+  let gog_api_resp = await fetch(`https://api.gog.com/v2/games/${product_id}?locale=en-US`);
+  if (gog_api_resp.status === 404) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  } else if (!gog_api_resp.ok) {
+    return Object.assign(data, {
+      ...makeError("upstream_blocked", `GOG API returned HTTP ${gog_api_resp.status}.`)
+    });
+  }
+
+  let gog_api_json = await gog_api_resp.json();
+  let embedded = gog_api_json["_embedded"];
+  let links = gog_api_json["_links"];
+
+  data["gog_id"] = embedded["product"]["id"];
+  data["name"] = embedded["product"]["title"];
+  data["gog_link"] = links["store"] ? links["store"]["href"] : `https://www.gog.com/en/game/${sid}`;
+  data["poster"] = links["boxArtImage"] ? links["boxArtImage"]["href"] : "";
+  data["developer"] = (embedded["developers"] || []).map(d => d["name"]);
+  data["publisher"] = embedded["publisher"] ? [embedded["publisher"]["name"]] : [];
+  data["release_date"] = (embedded["product"]["globalReleaseDate"] || embedded["product"]["gogReleaseDate"] || "").slice(0, 10);
+  data["tags"] = (embedded["tags"] || []).map(t => t["name"]);
+
+  // 支持语言，分为界面文字与语音
+  data["language"] = {text: [], audio: []};
+  for (const localization of embedded["localizations"] || []) {
+    const {language, localizationScope} = localization["_embedded"];
+    const scope = data["language"][localizationScope["type"]];
+    if (scope && !scope.includes(language["name"])) {
+      scope.push(language["name"]);
+    }
+  }
+
+  data["descr"] = gog_api_json["description"] ? html2bbcode(gog_api_json["description"]).trim() : "";
+
+  // 截图地址为模板，去掉 `_{formatter}` 即为原图
+  data["screenshot"] = (embedded["screenshots"] || []).map(s => s["_links"]["self"]["href"].replace("_{formatter}", ""));
+
+  data["sysreq"] = (embedded["supportedOperatingSystems"] || []).map(os => {
+    const os_name = os_dict[os["operatingSystem"]["name"]] || os["operatingSystem"]["name"];
+    const versions = os["operatingSystem"]["versions"] ? ` (${os["operatingSystem"]["versions"]})` : "";
+    const requirements = (os["systemRequirements"] || []).filter(r => r["requirements"].length > 0).map(r => {
+      const lines = r["requirements"].map(i => `${i["name"]}: ${i["description"]}`);
+      return `${sysreq_type_dict[r["type"]] || r["type"]}:\n${lines.join("\n")}`;
+    });
+    return [`${os_name}${versions}`, ...requirements].join("\n");
+  });
+
+  // 用户评分，获取失败时忽略
+  try {
+    let gog_rating_resp = await gog_rating_req;
+    if (gog_rating_resp.ok) {
+      let gog_rating_json = await gog_rating_resp.json();
+      data["gog_rating_average"] = gog_rating_json["value"];
+      data["gog_votes"] = gog_rating_json["count"];
+      data["gog_rating"] = `${gog_rating_json["value"]}/5 from ${gog_rating_json["count"]} users`;
+    }
+  } catch (e) {
+    // 评分不影响简介生成
+  }
+
+  data["format"] = render(format_gog(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_gog(data) {
+  const language = data["language"] || {text: [], audio: []};
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    "【基本信息】\n\n",
+    (data["name"] && data["name"].length > 0) ? `游戏名称: ${data["name"]}\n` : "",
+    (data["developer"] && data["developer"].length > 0) ? `开发商: ${data["developer"].join(", ")}\n` : "",
+    (data["publisher"] && data["publisher"].length > 0) ? `发行商: ${data["publisher"].join(", ")}\n` : "",
+    (data["release_date"] && data["release_date"].length > 0) ? `发行日期: ${data["release_date"]}\n` : "",
+    (data["gog_link"] && data["gog_link"].length > 0) ? `GOG页面: ${data["gog_link"]}\n` : "",
+    language.text.length > 0 ? `界面语种: ${language.text.join(" | ")}\n` : "",
+    language.audio.length > 0 ? `语音语种: ${language.audio.join(" | ")}\n` : "",
+    (data["tags"] && data["tags"].length > 0) ? `标签: ${data["tags"].join(" | ")}\n` : "",
+    (data["gog_rating"] && data["gog_rating"].length > 0) ? `用户评分: ${data["gog_rating"]}\n` : "",
+    "\n",
+    (data["descr"] && data["descr"].length > 0) ? ["【游戏简介】\n\n", bbcode(data["descr"]), "\n\n"] : "",
+    (data["sysreq"] && data["sysreq"].length > 0) ? `【配置需求】\n\n${data["sysreq"].join("\n\n")}\n\n` : "",
+    (data["screenshot"] && data["screenshot"].length > 0) ? ["【游戏截图】\n\n", image_list(data["screenshot"]), "\n\n"] : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_gog(data) {
+  return normalized(data, {
+    type: "game",
+    link: data["gog_link"],
+    titles: {main: data["name"]},
+    release_date: data["release_date"],
+    tags: data["tags"],
+    languages: (data["language"] || {})["text"],
+    description: data["descr"],
+    people: [...people(data["developer"], "developer"), ...people(data["publisher"], "publisher")],
+    ratings: [rating("gog", data["gog_rating_average"], 5, data["gog_votes"])],
+    poster: data["poster"],
+    screenshots: data["screenshot"],
+    external_ids: {gog: data["gog_id"]}
+  });
+}
+
+export const provider = {
+  name: "gog",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?gog\.com\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?game\/(\w+)/
+  ],
+  gen: gen_gog,
+  format: format_gog,
+  normalize: normalize_gog
+};
@@ -1,4 +1,7 @@
 import {NONE_EXIST_ERROR, page_parser} from "./common";
+import {makeError} from "./error";
+import {image, render} from "./format";
+import {normalized, people, rating} from "./normalize";
 
 function getNumberFromString(raw) {
   return (raw.match(/[\d,]+/) || [0])[0].replace(/,/g, "");
@@ -41,7 +44,11 @@ export async function gen_imdb(sid) {
 
   if (imdb_page_raw.match(/404 Error - IMDb/)) {
     return Object.assign(data, {
-      error: NONE_EXIST_ERROR
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  } else if (!imdb_page_resp.ok) {
+    return Object.assign(data, {
+      ...makeError("upstream_blocked", `IMDb returned HTTP ${imdb_page_resp.status}.`)
     });
   }
 
@@ -183,19 +190,71 @@ export async function gen_imdb(sid) {
   });
   data["aka"] = aka;
 
-  // 生成format
-  let descr = (data["poster"] && data["poster"].length > 0) ? `[img]${data["poster"]}[/img]\n\n` : "";
-  descr += (data["name"] && data["name"].length > 0) ? `Title: ${data["name"]}\n` : "";
-  descr += (data["keywords"] && data["keywords"].length > 0) ? `Keywords: ${data["keywords"].join(", ")}\n` : "";
-  descr += (data["datePublished"] && data["datePublished"].length > 0) ? `Date Published: ${data["datePublished"]}\n` : "";
-  descr += (data["imdb_rating"] && data["imdb_rating"].length > 0) ? `IMDb Rating: ${data["imdb_rating"]}\n` : "";
-  descr += (data["imdb_link"] && data["imdb_link"].length > 0) ? `IMDb Link: ${data["imdb_link"]}\n` : "";
-  descr += (data["directors"] && data["directors"].length > 0) ? `Directors: ${data["directors"].map(i => i["name"]).join(" / ")}\n` : "";
-  descr += (data["creators"] && data["creators"].length > 0) ? `Creators: ${data["creators"].map(i => i["name"]).join(" / ")}\n` : "";
-  descr += (data["actors"] && data["actors"].length > 0) ? `Actors: ${data["actors"].map(i => i["name"]).join(" / ")}\n` : "";
-  descr += (data["description"] && data["description"].length > 0) ? `\nIntroduction\n    ${data["description"].replace(/\n/g, "\n" + "　".repeat(2))}\n` : "";
-
-  data["format"] = descr.trim();
+  data["format"] = render(format_imdb(data));
   data["success"] = true; // 更新状态为成功
   return data;
 }
+
+// 生成format
+export function format_imdb(data) {
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    (data["name"] && data["name"].length > 0) ? `Title: ${data["name"]}\n` : "",
+    (data["keywords"] && data["keywords"].length > 0) ? `Keywords: ${data["keywords"].join(", ")}\n` : "",
+    (data["datePublished"] && data["datePublished"].length > 0) ? `Date Published: ${data["datePublished"]}\n` : "",
+    (data["imdb_rating"] && data["imdb_rating"].length > 0) ? `IMDb Rating: ${data["imdb_rating"]}\n` : "",
+    (data["imdb_link"] && data["imdb_link"].length > 0) ? `IMDb Link: ${data["imdb_link"]}\n` : "",
+    (data["directors"] && data["directors"].length > 0) ? `Directors: ${data["directors"].map(i => i["name"]).join(" / ")}\n` : "",
+    (data["creators"] && data["creators"].length > 0) ? `Creators: ${data["creators"].map(i => i["name"]).join(" / ")}\n` : "",
+    (data["actors"] && data["actors"].length > 0) ? `Actors: ${data["actors"].map(i => i["name"]).join(" / ")}\n` : "",
+    (data["description"] && data["description"].length > 0) ? `\nIntroduction\n    ${data["description"].replace(/\n/g, "\n" + "　".repeat(2))}\n` : ""
+  ];
+}
+
+const imdb_types = {"Movie": "movie", "TVSeries": "tv", "TVMiniSeries": "tv", "TVEpisode": "tv", "VideoGame": "game"};
+
+// 统一结构，见 lib/normalize.js
+export function normalize_imdb(data) {
+  const details = data["details"] || {};
+  const aka = data["aka"] || [];
+  return normalized(data, {
+    type: imdb_types[data["@type"]] || null,
+    link: data["imdb_link"],
+    titles: {
+      main: data["name"],
+      original: (aka.find(a => a["country"] === "(original title)") || {})["title"] || data["name"],
+      localized: aka.filter(a => a["country"] !== "(original title)").map(a => a["title"])
+    },
+    year: data["year"],
+    release_date: data["datePublished"],
+    genres: data["genre"],
+    tags: data["keywords"],
+    languages: details["Languages"],
+    regions: details["Country of origin"],
+    runtime: data["duration"],
+    description: data["description"],
+    people: [
+      ...people(data["directors"], "director"),
+      // 电影的 creator 为编剧
+      ...people(data["creators"], data["@type"] === "Movie" ? "writer" : "creator"),
+      ...people(data["actors"], "actor")
+    ],
+    ratings: [
+      rating("imdb", data["imdb_rating_average"], 10, data["imdb_votes"]),
+      rating("metacritic", data["metascore"], 100)
+    ],
+    poster: data["poster"],
+    external_ids: {imdb: data["imdb_id"]}
+  });
+}
+
+export const provider = {
+  name: "imdb",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?imdb\.com\/title\/(tt\d+)\/?/
+  ],
+  search: search_imdb,
+  gen: gen_imdb,
+  format: format_imdb,
+  normalize: normalize_imdb
+};
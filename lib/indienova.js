@@ -1,24 +1,63 @@
 import {NONE_EXIST_ERROR, page_parser} from "./common";
+import {makeError} from "./error";
+import {image, image_list, link, render} from "./format";
+import {normalized, people, rating} from "./normalize";
 
 /* global INDIENOVA_COOKIE */
+function indienova_fetch_init() {
+  if (globalThis['INDIENOVA_COOKIE']) {
+    return {headers: {"Cookie": INDIENOVA_COOKIE}};
+  }
+  return {};
+}
+
+/**
+ * 搜索，解析站内搜索页面中的游戏列表
+ * 每个结果的标题形如 `<h4><a href="/game/slug">中文名 <small>英文名</small></a></h4>`
+ */
+export async function search_indienova(query) {
+  let indienova_search_resp = await fetch(`https://indienova.com/search?type=game&q=${encodeURIComponent(query)}`, indienova_fetch_init());
+  if (!indienova_search_resp.ok) {
+    return makeError("upstream_blocked", `indienova returned HTTP ${indienova_search_resp.status}.`);
+  }
+
+  let $ = page_parser(await indienova_search_resp.text());
+  let results = [];
+  $("h4 a[href*='/game/']").each(function () {
+    let anchor = $(this);
+    let slug_match = (anchor.attr("href") || "").match(/\/game\/([^/?#]+)\/?$/);
+    if (!slug_match || results.some(r => r.link.endsWith(`/game/${slug_match[1]}`))) return;
+
+    let subtitle = anchor.find("small").text().trim();
+    anchor.find("small").remove();
+    let release_match = anchor.closest("h4").parent().text().match(/(\d{4})-\d{2}-\d{2}/);
+    results.push({
+      year: release_match ? release_match[1] : "",
+      subtype: "游戏",
+      title: anchor.text().trim(),
+      subtitle: subtitle,
+      link: `https://indienova.com/game/${slug_match[1]}`
+    });
+  });
+
+  return {
+    data: results
+  }
+}
+
 export async function gen_indienova(sid) {
   let data = {
     site: "indienova",
     sid: sid
   };
 
-  let fetch_init = {}
-  if (globalThis['INDIENOVA_COOKIE']) {
-    fetch_init = {headers: {"Cookie": INDIENOVA_COOKIE}}
-  }
-
-  let indienova_page_resp = await fetch(`https://indienova.com/game/${sid}`, fetch_init);
+  let indienova_page_resp = await fetch(`https://indienova.com/game/${sid}`, indienova_fetch_init());
   let indienova_page_raw = await indienova_page_resp.text();
 
   // 检查标题看对应资源是否存在
   if (indienova_page_raw.match(/出现错误/)) {
     return Object.assign(data, {
-      error: NONE_EXIST_ERROR
+      ...makeError("not_found", NONE_EXIST_ERROR)
     });
   }
 
@@ -105,32 +144,78 @@ export async function gen_indienova(sid) {
     return `${store}：${price}`;
   }).get() : [];
 
-  // 生成format
-  let descr = data["cover"] ? `[img]${data["cover"]}[/img]\n\n` : "";
-  descr += "【基本信息】\n\n"; // 基本信息为原来的baseinfo块
-  descr += (data["chinese_title"] && data["chinese_title"].length > 0) ? `中文名称：${data["chinese_title"]}\n` : "";
-  descr += (data["english_title"] && data["english_title"].length > 0) ? `英文名称：${data["english_title"]}\n` : "";
-  descr += (data["another_title"] && data["another_title"].length > 0) ? `其他名称：${data["another_title"]}\n` : "";
-  descr += (data["release_date"] && data["release_date"].length > 0) ? `发行时间：${data["release_date"]}\n` : "";
-  descr += (data["rate"] && data["rate"].length > 0) ? `评分：${data["rate"]}\n` : "";
-  descr += (data["dev"] && data["dev"].length > 0) ? `开发商：${data["dev"].join(" / ")}\n` : "";
-  descr += (data["pub"] && data["pub"].length > 0) ? `发行商：${data["pub"].join(" / ")}\n` : "";
-  descr += (data["intro_detail"] && data["intro_detail"].length > 0) ? `${data["intro_detail"].join("\n")}\n` : "";
-  descr += (data["cat"] && data["cat"].length > 0) ? `标签：${data["cat"].slice(0, 8).join(" | ")}\n` : "";
+  data["format"] = render(format_indienova(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_indienova(data) {
+  let format_links = [];
   if ((data["links"] && data["links"].length > 0)) {
-    let format_links = [];
     for (let [key, value] of Object.entries(data["links"])) {
-      format_links.push(`[url=${value}]${key}[/url]`);
+      format_links.push(link(key, value), "  ");
     }
-    descr += `链接地址：${format_links.join("  ")}\n`;
+    format_links = ["链接地址：", format_links.slice(0, -1), "\n"];
   }
-  descr += (data["price"] && data["price"].length > 0) ? `价格信息：${data["price"].join(" / ")}\n` : "";
-  descr += "\n";
-  descr += (data["descr"] && data["descr"].length > 0) ? `【游戏简介】\n\n${data["descr"]}\n\n` : "";
-  descr += (data["screenshot"] && data["screenshot"].length > 0) ? `【游戏截图】\n\n${data["screenshot"].map(x => `[img]${x}[/img]`).join("\n")}\n\n` : "";
-  descr += (data["level"] && data["level"].length > 0) ? `【游戏评级】\n\n${data["level"].map(x => `[img]${x}[/img]`).join("\n")}\n\n` : "";
 
-  data["format"] = descr.trim();
-  data["success"] = true; // 更新状态为成功
-  return data;
+  return [
+    data["cover"] ? [image(data["cover"]), "\n\n"] : "",
+    "【基本信息】\n\n", // 基本信息为原来的baseinfo块
+    (data["chinese_title"] && data["chinese_title"].length > 0) ? `中文名称：${data["chinese_title"]}\n` : "",
+    (data["english_title"] && data["english_title"].length > 0) ? `英文名称：${data["english_title"]}\n` : "",
+    (data["another_title"] && data["another_title"].length > 0) ? `其他名称：${data["another_title"]}\n` : "",
+    (data["release_date"] && data["release_date"].length > 0) ? `发行时间：${data["release_date"]}\n` : "",
+    (data["rate"] && data["rate"].length > 0) ? `评分：${data["rate"]}\n` : "",
+    (data["dev"] && data["dev"].length > 0) ? `开发商：${data["dev"].join(" / ")}\n` : "",
+    (data["pub"] && data["pub"].length > 0) ? `发行商：${data["pub"].join(" / ")}\n` : "",
+    (data["intro_detail"] && data["intro_detail"].length > 0) ? `${data["intro_detail"].join("\n")}\n` : "",
+    (data["cat"] && data["cat"].length > 0) ? `标签：${data["cat"].slice(0, 8).join(" | ")}\n` : "",
+    format_links,
+    (data["price"] && data["price"].length > 0) ? `价格信息：${data["price"].join(" / ")}\n` : "",
+    "\n",
+    (data["descr"] && data["descr"].length > 0) ? `【游戏简介】\n\n${data["descr"]}\n\n` : "",
+    (data["screenshot"] && data["screenshot"].length > 0) ? ["【游戏截图】\n\n", image_list(data["screenshot"]), "\n\n"] : "",
+    (data["level"] && data["level"].length > 0) ? ["【游戏评级】\n\n", image_list(data["level"]), "\n\n"] : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_indienova(data) {
+  const detail = {};
+  for (const line of data["intro_detail"] || []) {
+    const [key, ...value] = line.split("：");
+    detail[key.trim()] = value.join("：").split("/").map(x => x.trim());
+  }
+  const score = source => ((data["rate"] || "").match(new RegExp(`${source}:([\\d.]+)`)) || [])[1];
+  const steam_link = (data["links"] || {})["Steam"] || "";
+  return normalized(data, {
+    type: "game",
+    link: `https://indienova.com/game/${data["sid"]}`,
+    titles: {
+      main: data["chinese_title"] || data["english_title"],
+      original: data["english_title"] || data["chinese_title"],
+      aliases: [data["another_title"]]
+    },
+    release_date: data["release_date"],
+    genres: detail["类型"],
+    tags: data["cat"],
+    description: data["descr"],
+    people: [...people(data["dev"], "developer"), ...people(data["pub"], "publisher")],
+    ratings: [rating("indienova", score("indienova"), 10), rating("metacritic", score("Metacritic"), 100)],
+    poster: data["poster"],
+    screenshots: data["screenshot"],
+    external_ids: {indienova: data["sid"], steam: (steam_link.match(/\/app\/(\d+)/) || [])[1]}
+  });
 }
+
+export const provider = {
+  name: "indienova",
+  patterns: [
+    /(?:https?:\/\/)?indienova\.com\/game\/(\S+)/
+  ],
+  search: search_indienova,
+  gen: gen_indienova,
+  format: format_indienova,
+  normalize: normalize_indienova
+};
@@ -0,0 +1,262 @@
+import {makeJsonResponse} from "./common";
+import {makeError, makeErrorDataResponse, makeErrorResponse} from "./error";
+import {checkScope, consumeQuota} from "./auth";
+import {checkRateLimit, clientId} from "./ratelimit";
+import {generate, getProvider, matchUrl, search} from "./provider";
+import {checkSearchDisabled, resultType, titleKey} from "./search";
+
+/* global PT_GEN_STORE */
+
+/**
+ * 反查：由一个站点的资源找到其他站点中对应的资源
+ *  - douban → imdb：豆瓣页面中的 IMDb 链接
+ *  - imdb → douban：以 IMDb id 搜索豆瓣，逐个生成候选条目，确认其页面中的 IMDb 链接相同
+ *  - bangumi ⇄ anilist、mal：以原名搜索，要求原名、年份相同（由 anilist、mal 反查时类型也须相同）
+ *  - anilist ⇄ mal：AniList 中的 idMal
+ * 确认的对应关系会双向存入 KV（不过期），之后的反查直接读取，不再请求对应站点
+ * 需要搜索的反查在设置 DISABLE_SEARCH 时不可用（由 anilist、mal 反查时只返回两者之间的对应关系）
+ */
+
+const MAX_CANDIDATES = 3; // imdb → douban 时最多确认的候选条目数
+
+// 各站点可以反查到的站点
+const lookup_targets = {
+  douban: ["imdb"],
+  imdb: ["douban"],
+  bangumi: ["anilist", "mal"],
+  anilist: ["mal", "bangumi"],
+  mal: ["anilist", "bangumi"]
+};
+
+const link_list = {
+  douban: sid => `https://movie.douban.com/subject/${sid}/`,
+  imdb: sid => `https://www.imdb.com/title/${sid}/`,
+  bangumi: sid => `https://bgm.tv/subject/${sid}`,
+  anilist: sid => `https://anilist.co/${sid}`,
+  mal: sid => `https://myanimelist.net/${sid}`
+};
+
+// 反查过程中除原站点生成以外的每次搜索与生成都通过 options.charge 计入频率限制与用量，超出时返回对应的错误
+async function charge(options, action, site) {
+  return options.charge ? await options.charge(action, site) : null;
+}
+
+// 原名与年份均相同时视为同一作品
+function same_work(normalized, result) {
+  return String(normalized.year || "") === String(result.year || "") &&
+    Boolean(normalized.titles.original) && titleKey(normalized.titles.original) === titleKey(result.subtitle);
+}
+
+async function from_douban(sid, options) {
+  const data = await generate("douban", sid, options);
+  return data.success ? {imdb: data["imdb_id"]} : data;
+}
+
+async function from_imdb(sid, options) {
+  // 豆瓣搜索支持直接使用 IMDb id
+  const denied = checkSearchDisabled() || await charge(options, "search", "douban");
+  if (denied) {
+    return denied;
+  }
+  const results = await search("douban", sid, options);
+  if (!Array.isArray(results.data)) {
+    return results;
+  }
+  for (const candidate of results.data.slice(0, MAX_CANDIDATES)) {
+    const douban_sid = matchUrl(candidate.link).sid;
+    const limit_error = await charge(options, "generate", "douban");
+    if (limit_error) {
+      return limit_error;
+    }
+    const data = await generate("douban", douban_sid, options);
+    if (data.success && data["imdb_id"] === sid) {
+      return {douban: douban_sid};
+    }
+  }
+  return {};
+}
+
+async function from_bangumi(sid, options) {
+  const data = await generate("bangumi", sid, options);
+  if (!data.success) {
+    return data;
+  }
+  const denied = checkSearchDisabled() || await charge(options, "search", "anilist");
+  if (denied) {
+    return denied;
+  }
+  const normalized = getProvider("bangumi").normalize(data);
+  const results = await search("anilist", normalized.titles.original, options);
+  if (!Array.isArray(results.data)) {
+    return results;
+  }
+
+  const match = results.data.find(r => same_work(normalized, r));
+  if (!match) {
+    return {};
+  }
+  const anilist_sid = matchUrl(match.link).sid;
+  const limit_error = await charge(options, "generate", "anilist");
+  if (limit_error) {
+    return limit_error;
+  }
+  const anilist = await generate("anilist", anilist_sid, options);
+  return {anilist: anilist_sid, mal: anilist["mal_id"] ? `${anilist["type"].toLowerCase()}/${anilist["mal_id"]}` : null};
+}
+
+// anilist 与 mal 共用，两者的生成结果中都有 anilist_id 与 mal_id
+async function from_anilist(site, sid, options) {
+  const data = await generate(site, sid, options);
+  if (!data.success) {
+    return data;
+  }
+  const type = data["type"].toLowerCase();
+  const found = {
+    anilist: `${type}/${data["anilist_id"]}`,
+    mal: data["mal_id"] ? `${type}/${data["mal_id"]}` : null
+  };
+  delete found[site];
+
+  // 搜索已关闭或 bangumi 搜索失败时只返回 anilist 与 mal 之间的对应关系，超出频率限制或用量时返回错误
+  if (checkSearchDisabled()) {
+    return found;
+  }
+  const limit_error = await charge(options, "search", "bangumi");
+  if (limit_error) {
+    return limit_error;
+  }
+  const normalized = getProvider(site).normalize(data);
+  const results = await search("bangumi", normalized.titles.original, options);
+  if (Array.isArray(results.data)) {
+    const match = results.data.find(r => same_work(normalized, r) && resultType("bangumi", r) === resultType(site, {link: data["anilist_link"]}));
+    found.bangumi = match ? matchUrl(match.link).sid : null;
+  }
+  return found;
+}
+
+const lookup_list = {
+  douban: from_douban,
+  imdb: from_imdb,
+  bangumi: from_bangumi,
+  anilist: (sid, options) => from_anilist("anilist", sid, options),
+  mal: (sid, options) => from_anilist("mal", sid, options)
+};
+
+function store_key(site, sid) {
+  return `lookup-${site}-${sid}`;
+}
+
+async function restore_mappings(site, sid) {
+  const stored = globalThis['PT_GEN_STORE'] ? await PT_GEN_STORE.get(store_key(site, sid)) : null;
+  return stored ? JSON.parse(stored) : {};
+}
+
+// 对应关系不会改变，不设置过期时间
+async function store_mappings(site, sid, mappings) {
+  if (!globalThis['PT_GEN_STORE'] || Object.keys(mappings).length === 0) {
+    return;
+  }
+  const stored = await restore_mappings(site, sid);
+  await PT_GEN_STORE.put(store_key(site, sid), JSON.stringify(Object.assign(stored, mappings)));
+}
+
+// 与 gen_imdb 相同，IMDb id 统一为 tt 开头且至少 7 位数字
+function normalize_sid(site, sid) {
+  if (site === "imdb") {
+    const match = String(sid).match(/^(?:tt)?(\d+)$/);
+    return match ? "tt" + match[1].padStart(7, "0") : null;
+  }
+  return sid;
+}
+
+/**
+ * 反查
+ * @param {string} site 需满足 lookupTargets(site).length > 0
+ * @param {string} sid
+ * @param {{refresh: boolean, waitUntil: function(Promise), charge: function(string, string): Promise<?object>}} options
+ *        见 lib/cache.js 的 cached()，refresh 时同样跳过 KV 中保存的对应关系；
+ *        charge(action, site) 计入原站点生成以外的每次搜索与生成，返回错误时反查终止并返回该错误
+ * @return {Promise<object>} data 为找到的资源 [{site, sid, link}]，没有找到时为空数组
+ */
+export async function lookup(site, sid, options = {}) {
+  const targets = lookupTargets(site);
+  let mappings = options.refresh ? {} : await restore_mappings(site, sid);
+
+  if (!targets.every(t => mappings[t])) {
+    const found = await lookup_list[site](sid, options);
+    if (found.error_code) {
+      // 保留 retry_after（频率限制），见 makeErrorDataResponse()
+      const retry = found.retry_after ? {retry_after: found.retry_after} : {};
+      return Object.assign({site: site, sid: sid}, makeError(found.error_code, found.error), retry);
+    }
+
+    const confirmed = Object.fromEntries(Object.entries(found).filter(([, v]) => v));
+    mappings = Object.assign({}, mappings, confirmed);
+    await store_mappings(site, sid, confirmed);
+    // 反向的对应关系，如 douban → imdb 时同时保存 imdb → douban
+    const all = Object.assign({[site]: sid}, confirmed);
+    for (const [target, target_sid] of Object.entries(confirmed)) {
+      const reverse = Object.fromEntries(Object.entries(all).filter(([s]) => lookupTargets(target).includes(s)));
+      await store_mappings(target, target_sid, reverse);
+    }
+  }
+
+  return {
+    success: true,
+    site: site,
+    sid: sid,
+    data: targets.filter(t => mappings[t]).map(t => ({site: t, sid: mappings[t], link: link_list[t](mappings[t])}))
+  };
+}
+
+// 站点可以反查到的站点，不支持反查时为空数组
+export function lookupTargets(site) {
+  return lookup_targets[site] || [];
+}
+
+/**
+ * 反查接口
+ *  GET /lookup?url=...  或  /lookup?site=imdb&sid=tt0111161
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ * @param {object} key 请求使用的 apikey，见 lib/auth.js
+ */
+export async function handleLookup(event, key) {
+  const uri = new URL(event.request.url);
+  const target = uri.searchParams.get("url")
+    ? matchUrl(uri.searchParams.get("url")) || {}
+    : {site: uri.searchParams.get("site"), sid: uri.searchParams.get("sid")};
+
+  if (!target.site || !target.sid) {
+    return makeErrorResponse(
+      uri.searchParams.get("url") ? "unsupported_site" : "invalid_request",
+      "Miss key of `site` or `sid` , or input unsupported resource `url`."
+    );
+  } else if (lookupTargets(target.site).length === 0) {
+    return makeErrorResponse("unsupported_site", "Lookup is not supported for `site`: " + target.site + ".");
+  }
+  const sid = normalize_sid(target.site, target.sid);
+  if (sid === null) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `sid`.");
+  }
+
+  // 反查需要生成各个站点的资源，按其中的每个站点检查权限；请求时只计入原站点的生成，
+  // 反查过程中实际进行的每次搜索与生成（如 imdb → douban 的每个候选条目）再分别检查权限并计入频率限制与用量
+  const sites = [target.site, ...lookupTargets(target.site)];
+  const refresh = Boolean(uri.searchParams.get("refresh"));
+  const charge = async (action, site) => checkScope(key, action, site) ||
+    await checkRateLimit(clientId(event, key), action, site) ||
+    await consumeQuota(key, site);
+  const denied = sites.map(s => checkScope(key, "generate", s)).find(Boolean) ||
+    (refresh && key.id === null ? makeError("auth_required", "apikey required.") : null) ||
+    await charge("generate", target.site);
+  if (denied) {
+    return makeErrorDataResponse(denied);
+  }
+
+  const result = await lookup(target.site, sid, {
+    refresh: refresh,
+    waitUntil: promise => event.waitUntil(promise),
+    charge: charge
+  });
+  return result.error ? makeErrorDataResponse(result) : makeJsonResponse(result);
+}
@@ -0,0 +1,350 @@
+import {makeJsonResponse} from "./common";
+import {errorStatus, makeErrorDataResponse, makeErrorResponse} from "./error";
+import {checkScope, consumeQuota} from "./auth";
+import {checkRateLimit, clientId} from "./ratelimit";
+import {generate, matchUrl, reformat, withNormalized} from "./provider";
+import {parseVersion} from "./normalize";
+import {code, FORMAT_TYPES, render} from "./format";
+import {applyTemplate} from "./template";
+
+/**
+ * MediaInfo / BDInfo 解析
+ * 支持 MediaInfo 的默认文本输出（英文），以及 BDInfo 的 QUICK SUMMARY 或完整报告
+ * 解析出的视频、音频、字幕轨道生成技术参数摘要，与原始内容一同附加在简介之后
+ */
+
+const MAX_LENGTH = 512 * 1024; // 粘贴内容的最大长度
+
+// 统一的分辨率写法，与发布名解析（lib/release.js）相同
+function resolution_of(width, height, scan = "p") {
+  if (!width && !height) {
+    return null;
+  }
+  // 宽银幕影片的高度较小，同时按宽度判断
+  const standard = [[3840, 2160], [1920, 1080], [1280, 720], [1024, 576], [720, 480]]
+    .find(([w, h]) => (width || 0) >= w * 0.95 || (height || 0) >= h * 0.95);
+  return standard ? `${standard[1]}${scan}` : `${height}${scan}`;
+}
+
+function hdr_of(text) {
+  const hdr = [];
+  if (/Dolby Vision/i.test(text)) hdr.push("DV");
+  if (/HDR10\+|SMPTE ST 2094/i.test(text)) hdr.push("HDR10+");
+  if (/\bHDR10\b(?!\+)|SMPTE ST 2086/i.test(text)) hdr.push("HDR10");
+  if (/\bHLG\b/i.test(text)) hdr.push("HLG");
+  return hdr;
+}
+
+function int_of(value) {
+  const number = parseInt(String(value || "").replace(/\s/g, ""));
+  return isNaN(number) ? null : number;
+}
+
+//-    MediaInfo    -//
+
+// 按空行前的段落标题（General、Video、Audio #1、Text #2 等）分组，同一段落中重复的字段只取第一个
+function mediainfo_sections(text) {
+  const sections = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const field = line.match(/^([^:]+?)\s+:\s?(.*)$/);
+    if (field && current) {
+      const name = field[1].trim();
+      if (!(name in current.fields)) current.fields[name] = field[2].trim();
+    } else if (!field && line.trim()) {
+      current = {type: line.trim().replace(/\s*#\d+$/, ""), fields: {}};
+      sections.push(current);
+    }
+  }
+  return sections.filter(s => Object.keys(s.fields).length > 0);
+}
+
+function mediainfo_channels(fields) {
+  const count = int_of(fields["Channel(s)"]);
+  if (!count) {
+    return null;
+  }
+  const layout = fields["Channel layout"] || fields["Channel positions"];
+  const lfe = layout ? /LFE/.test(layout) : count >= 6;
+  return lfe ? `${count - 1}.1` : `${count}.0`;
+}
+
+function parse_mediainfo(text) {
+  const sections = mediainfo_sections(text);
+  const of_type = type => sections.filter(s => s.type === type).map(s => s.fields);
+  const general = of_type("General")[0] || {};
+
+  return {
+    kind: "mediainfo",
+    general: {
+      name: general["Complete name"] ? general["Complete name"].split(/[\\/]/).pop() : null,
+      format: general["Format"] || null,
+      size: general["File size"] || null,
+      duration: general["Duration"] || null,
+      bitrate: general["Overall bit rate"] || null
+    },
+    video: of_type("Video").map(f => {
+      const width = int_of(f["Width"]);
+      const height = int_of(f["Height"]);
+      return {
+        codec: f["Format"] || null,
+        profile: f["Format profile"] || null,
+        width: width,
+        height: height,
+        resolution: resolution_of(width, height, /Interlaced/i.test(f["Scan type"] || "") ? "i" : "p"),
+        frame_rate: f["Frame rate"] ? f["Frame rate"].replace(/\s*\(.*\)/, "").replace(/\s*FPS$/i, "") + " fps" : null,
+        bit_depth: int_of(f["Bit depth"]),
+        bitrate: f["Bit rate"] || null,
+        aspect_ratio: f["Display aspect ratio"] || null,
+        hdr: hdr_of([f["HDR format"], f["Transfer characteristics"]].filter(Boolean).join(" / "))
+      };
+    }),
+    audio: of_type("Audio").map(f => ({
+      codec: f["Commercial name"] || f["Format"] || null,
+      language: f["Language"] || null,
+      channels: mediainfo_channels(f),
+      sampling_rate: f["Sampling rate"] || null,
+      bitrate: f["Bit rate"] || null,
+      title: f["Title"] || null
+    })),
+    subtitles: of_type("Text").map(f => ({
+      codec: f["Format"] || null,
+      language: f["Language"] || null,
+      title: f["Title"] || null
+    }))
+  };
+}
+
+//-    BDInfo    -//
+
+// 完整报告中的表格，列之间至少有两个空格，返回各行的列
+function bdinfo_table(lines, name) {
+  const start = lines.findIndex(l => l.trim() === `${name}:`);
+  if (start === -1) {
+    return [];
+  }
+  const rows = [];
+  let header_passed = false;
+  for (const line of lines.slice(start + 1)) {
+    if (/^-{3,}/.test(line.trim())) {
+      header_passed = true;
+    } else if (header_passed && line.trim() === "") {
+      break;
+    } else if (header_passed) {
+      rows.push(line.trim().split(/\s{2,}/));
+    }
+  }
+  return rows;
+}
+
+function bdinfo_codec(codec) {
+  return codec.trim()
+    .replace(/^\*\s*/, "")
+    .replace(/\s+(?:Video|Audio)$/, "")
+    .replace(/^MPEG-[4H]\s+/, "")
+    .replace(/^Presentation Graphics$/, "PGS");
+}
+
+// 摘要行中的各项以 ` / ` 分隔，括号内的内嵌音轨信息不计入
+function bdinfo_parts(line) {
+  return line.replace(/^\*\s*/, "").replace(/\s*\(.*\)\s*$/, "").split(/\s+\/\s+/).map(p => p.trim());
+}
+
+function bdinfo_video(line) {
+  const parts = bdinfo_parts(line);
+  const resolution = parts.find(p => /^\d{3,4}[pi]$/.test(p)) || null;
+  return {
+    codec: bdinfo_codec(parts[0]),
+    profile: parts.find(p => /@ Level|Profile/i.test(p)) || null,
+    width: null,
+    height: resolution ? parseInt(resolution) : null,
+    resolution: resolution,
+    frame_rate: parts.find(p => /fps$/.test(p)) || null,
+    bit_depth: int_of((parts.find(p => /^\d+ bits$/.test(p)) || "")),
+    bitrate: parts.find(p => /bps$/.test(p)) || null,
+    aspect_ratio: parts.find(p => /^\d+(?:\.\d+)?:\d+$/.test(p)) || null,
+    hdr: hdr_of(parts.slice(1).join(" / "))
+  };
+}
+
+function bdinfo_audio(line) {
+  const parts = bdinfo_parts(line);
+  return {
+    codec: bdinfo_codec(parts[1] || ""),
+    language: parts[0] || null,
+    channels: parts.find(p => /^\d\.\d$/.test(p)) || null,
+    sampling_rate: parts.find(p => /kHz$/.test(p)) || null,
+    bitrate: parts.find(p => /bps$/.test(p)) || null,
+    title: null
+  };
+}
+
+function bdinfo_subtitle(line) {
+  const parts = bdinfo_parts(line);
+  return {codec: "PGS", language: parts[0] || null, title: null};
+}
+
+function parse_bdinfo(text) {
+  const lines = text.split(/\r?\n/);
+  const field = name => {
+    const line = lines.find(l => l.trim().startsWith(`${name}:`));
+    return line ? line.trim().slice(name.length + 1).trim() || null : null;
+  };
+  const quick = name => lines.map(l => l.trim().match(new RegExp(`^${name}:\\s+(\\S.*)$`))).filter(Boolean).map(m => m[1]);
+
+  // 优先使用 QUICK SUMMARY，没有时（如只粘贴了完整报告的前半部分）使用完整报告中的表格，并转换为摘要行的形式
+  let video = quick("Video");
+  let audio = quick("Audio");
+  let subtitles = quick("Subtitle");
+  if (video.length + audio.length + subtitles.length === 0) {
+    video = bdinfo_table(lines, "VIDEO").map(([codec, bitrate, description]) => [codec, bitrate, description].filter(Boolean).join(" / "));
+    audio = bdinfo_table(lines, "AUDIO").map(([codec, language, bitrate, description]) => [language, codec, description || bitrate].filter(Boolean).join(" / "));
+    subtitles = bdinfo_table(lines, "SUBTITLES").map(([, language, bitrate]) => [language, bitrate].filter(Boolean).join(" / "));
+  }
+
+  const size = field("Disc Size") || field("Size");
+  const bytes = size ? int_of(size.replace(/,/g, "")) : null;
+  return {
+    kind: "bdinfo",
+    general: {
+      name: field("Disc Title") || field("Disc Label"),
+      format: "Blu-ray",
+      size: bytes ? `${(bytes / 1024 ** 3).toFixed(2)} GiB` : size,
+      duration: field("Length"),
+      bitrate: field("Total Bitrate")
+    },
+    video: video.map(bdinfo_video),
+    audio: audio.map(bdinfo_audio),
+    subtitles: subtitles.map(bdinfo_subtitle)
+  };
+}
+
+/**
+ * 解析 MediaInfo 或 BDInfo 的文本输出
+ * @param {string} text
+ * @return {object|null} {kind, general, video, audio, subtitles}，不是可以识别的内容时为 null
+ */
+export function parseMediaInfo(text) {
+  text = String(text || "");
+  let info = null;
+  if (/^\s*(?:DISC INFO|PLAYLIST REPORT|QUICK SUMMARY):\s*$/m.test(text) || /^\s*(?:Disc (?:Title|Label)|Video|Audio):\s+\S/m.test(text)) {
+    info = parse_bdinfo(text);
+  } else if (/^\s*(?:General|Video|Audio)(?:\s*#\d+)?\s*$/m.test(text)) {
+    info = parse_mediainfo(text);
+  }
+  return info && (info.video.length + info.audio.length > 0) ? info : null;
+}
+
+// 技术参数摘要的每一行
+function track_line(parts) {
+  return parts.filter(Boolean).join(" / ");
+}
+
+/**
+ * 技术参数摘要与原始内容的简介节点，见 lib/format.js
+ * @param {object} info parseMediaInfo() 的结果
+ * @param {string} text 原始内容
+ */
+export function mediainfoDescr(info, text) {
+  const indent = "\n" + "　".repeat(4) + "  　";
+  const {general, video, audio, subtitles} = info;
+  const video_lines = video.map(v => track_line([v.codec, v.resolution, v.frame_rate, v.bit_depth ? `${v.bit_depth} bits` : null, v.hdr.join(", "), v.bitrate]));
+  const audio_lines = audio.map((a, i) => `#${i + 1}: ` + track_line([a.language, a.codec, a.channels, a.bitrate, a.title]));
+  const subtitle_list = subtitles.map(s => [s.language || "Unknown", s.title && s.title !== s.language ? `(${s.title})` : null].filter(Boolean).join(" "));
+  // 粘贴内容中已有的 [code]、[quote] 标签会破坏外层的代码块
+  const raw = text.replace(/\[\/?(?:code|quote)(?:=[^\]]*)?]/gi, "").trim();
+
+  return [
+    general.name ? `◎文件名称　${general.name}\n` : "",
+    general.format ? `◎容　　器　${general.format}\n` : "",
+    general.size ? `◎文件大小　${general.size}\n` : "",
+    general.duration ? `◎时　　长　${general.duration}\n` : "",
+    general.bitrate ? `◎总码率　　${general.bitrate}\n` : "",
+    video_lines.length > 0 ? `◎视　　频　${video_lines.join(indent)}\n` : "",
+    audio_lines.length > 0 ? `◎音　　频　${audio_lines.join(indent)}\n` : "",
+    subtitle_list.length > 0 ? `◎字　　幕　${subtitle_list.join(" / ")}\n` : "",
+    "\n",
+    code(raw)
+  ];
+}
+
+// 请求参数，JSON 请求体中的字段或 URL 中的参数（请求体为原始文本时）
+async function read_params(request, uri) {
+  if ((request.headers.get("Content-Type") || "").includes("application/json")) {
+    try {
+      const body = await request.json();
+      return body && typeof body === "object" ? body : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  const params = Object.fromEntries(uri.searchParams.entries());
+  params.mediainfo = await request.text();
+  return params;
+}
+
+/**
+ * 生成简介并附加 MediaInfo / BDInfo 的技术参数
+ *  POST /mediainfo  请求体为 {"url": "...", "mediainfo": "...", "format_type": "bbcode"}，也可使用 site 与 sid 代替 url
+ *                   请求体也可以直接为 MediaInfo 文本，其余字段放在 URL 参数中，如 /mediainfo?url=...
+ *  同样支持 `v`、`template` 与 `template_name` 字段
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ * @param {object} key 请求使用的 apikey，见 lib/auth.js
+ */
+export async function handleMediaInfo(event, key) {
+  const request = event.request;
+  if (request.method !== "POST") {
+    return makeErrorResponse("method_not_allowed", "MediaInfo only accepts POST request.");
+  }
+
+  const uri = new URL(request.url);
+  const params = await read_params(request, uri);
+  if (params === null) {
+    return makeErrorResponse("invalid_request", "Request body is not a valid JSON.");
+  }
+
+  const target = params.url ? matchUrl(String(params.url)) || {} : {site: params.site, sid: params.sid};
+  const text = String(params.mediainfo || "");
+  const format_type = params.format_type || "bbcode";
+  const version = parseVersion(params.v);
+  if (!target.site || !target.sid) {
+    return makeErrorResponse(
+      params.url ? "unsupported_site" : "invalid_request",
+      "Miss key of `site` or `sid` , or input unsupported resource `url`."
+    );
+  } else if (text.trim() === "") {
+    return makeErrorResponse("invalid_request", "Miss key of `mediainfo`.");
+  } else if (text.length > MAX_LENGTH) {
+    return makeErrorResponse("invalid_request", `\`mediainfo\` is too long, at most ${MAX_LENGTH} characters.`);
+  } else if (!FORMAT_TYPES.includes(format_type)) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `format_type`.");
+  } else if (version === null) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `v`.");
+  }
+
+  const info = parseMediaInfo(text);
+  if (info === null) {
+    return makeErrorResponse("invalid_request", "Could not recognize `mediainfo` as MediaInfo or BDInfo output.");
+  }
+
+  const site = String(target.site);
+  const denied = checkScope(key, "generate", site) ||
+    await checkRateLimit(clientId(event, key), "generate", site) ||
+    await consumeQuota(key, site);
+  if (denied) {
+    return makeErrorDataResponse(denied);
+  }
+
+  let response_data = reformat(await generate(site, String(target.sid), {waitUntil: promise => event.waitUntil(promise)}), format_type);
+  if (response_data.success) {
+    // HTML 中的换行已由 render() 转换为 <br>
+    const separator = format_type === "html" ? "<br>\n<br>\n" : "\n\n";
+    response_data = Object.assign({}, response_data, {
+      mediainfo: info,
+      format: response_data.format + separator + render(mediainfoDescr(info, text), format_type)
+    });
+  }
+  response_data = withNormalized(response_data, version);
+  response_data = await applyTemplate(response_data, {template: params.template, template_name: params.template_name});
+  return makeJsonResponse(response_data, errorStatus(response_data));
+}
@@ -0,0 +1,229 @@
+import {NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {bold, image, render, table} from "./format";
+import {normalized, people} from "./normalize";
+
+/**
+ * MusicBrainz，通过官方 API 获取专辑（release）信息，封面来自 Cover Art Archive
+ *  - sid 格式为 `release/<mbid>` 或 `release-group/<mbid>`，release-group 使用其中最早发行的正式版本
+ *  - MusicBrainz 要求请求带有能够识别来源的 User-Agent，且每秒不超过一次请求
+ */
+
+const MB_API = "https://musicbrainz.org/ws/2";
+export const MUSIC_USER_AGENT = "PT-Gen ( https://github.com/Rhilip/pt-gen-cfworker )";
+
+async function mb_fetch(path, params) {
+  const url = new URL(`${MB_API}/${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  url.searchParams.set("fmt", "json");
+  return fetch(url.toString(), {
+    headers: {
+      "Accept": "application/json",
+      "User-Agent": MUSIC_USER_AGENT
+    }
+  });
+}
+
+// 请求失败时的错误，不存在或 mbid 格式错误时为 not_found
+function mb_resp_error(resp) {
+  if (resp.status === 404 || resp.status === 400) {
+    return makeError("not_found", NONE_EXIST_ERROR);
+  }
+  return makeError("upstream_blocked", `MusicBrainz API returned HTTP ${resp.status}.`);
+}
+
+function artist_credit(credits) {
+  return (credits || []).map(c => c["name"] + (c["joinphrase"] || "")).join("");
+}
+
+// 毫秒转为 m:ss
+export function format_duration(ms) {
+  if (!ms) {
+    return "";
+  }
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * 搜索，关键词为 `歌手 - 专辑` 时分别匹配歌手与专辑名，否则匹配所有字段
+ * 返回的链接为 release-group
+ */
+const SEARCH_PAGE_SIZE = 20;
+
+export async function search_musicbrainz(query, {page = 1} = {}) {
+  const split = query.split(" - ");
+  const escape = text => text.trim().replace(/(["\\])/g, "\\$1");
+  const lucene_query = split.length > 1
+    ? `artist:"${escape(split[0])}" AND releasegroup:"${escape(split.slice(1).join(" - "))}"`
+    : query;
+
+  let mb_search_resp = await mb_fetch("release-group", {query: lucene_query, limit: SEARCH_PAGE_SIZE, offset: (page - 1) * SEARCH_PAGE_SIZE});
+  if (!mb_search_resp.ok) {
+    return mb_resp_error(mb_search_resp);
+  }
+
+  let mb_search_json = await mb_search_resp.json();
+  return {
+    total: mb_search_json["count"],
+    data: mb_search_json["release-groups"].map(d => {
+      return {
+        year: (d["first-release-date"] || "").slice(0, 4),
+        subtype: d["primary-type"] || "",
+        title: d["title"],
+        subtitle: artist_credit(d["artist-credit"]),
+        link: `https://musicbrainz.org/release-group/${d["id"]}`
+      }
+    })
+  }
+}
+
+export async function gen_musicbrainz(sid) {
+  let data = {
+    site: "musicbrainz",
+    sid: sid
+  };
+
+  let sid_match = String(sid).match(/^(release|release-group)\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/);
+  if (!sid_match) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+  let [, entity, mbid] = sid_match;
+  data["musicbrainz_link"] = `https://musicbrainz.org/${entity}/${mbid}`;
+
+  // release-group 先找到其中最早发行的正式版本
+  if (entity === "release-group") {
+    let group_resp = await mb_fetch(`release-group/${mbid}`, {inc: "releases"});
+    if (!group_resp.ok) {
+      return Object.assign(data, mb_resp_error(group_resp));
+    }
+    let releases = (await group_resp.json())["releases"] || [];
+    let release = releases
+      .filter(r => r["date"])
+      .sort((a, b) => (a["status"] === "Official" ? 0 : 1) - (b["status"] === "Official" ? 0 : 1) || a["date"].localeCompare(b["date"]))[0] || releases[0];
+    if (!release) {
+      return Object.assign(data, {
+        ...makeError("not_found", NONE_EXIST_ERROR)
+      });
+    }
+    mbid = release["id"];
+  }
+
+  let release_resp = await mb_fetch(`release/${mbid}`, {inc: "artist-credits labels recordings release-groups"});
+  if (!release_resp.ok) {
+    return Object.assign(data, mb_resp_error(release_resp));
+  }
+  let release = await release_resp.json();
+
+  data["release_id"] = release["id"];
+  data["release_group_id"] = (release["release-group"] || {})["id"] || "";
+  data["title"] = release["title"];
+  data["artist"] = artist_credit(release["artist-credit"]);
+  data["release_type"] = (release["release-group"] || {})["primary-type"] || "";
+  data["release_date"] = release["date"] || "";
+  data["country"] = release["country"] || "";
+  data["barcode"] = release["barcode"] || "";
+  data["label"] = (release["label-info"] || []).map(l => ({
+    name: l["label"] ? l["label"]["name"] : "",
+    catalog_number: l["catalog-number"] || ""
+  }));
+
+  // 介质，如 2×CD
+  let media = release["media"] || [];
+  let media_count = {};
+  for (const medium of media) {
+    const name = medium["format"] || "Unknown";
+    media_count[name] = (media_count[name] || 0) + 1;
+  }
+  data["media"] = Object.entries(media_count).map(([name, count]) => count > 1 ? `${count}×${name}` : name).join(" + ");
+
+  // 曲目，多张碟时序号为 `碟号-曲号`
+  data["tracklist"] = [];
+  for (const medium of media) {
+    for (const track of medium["tracks"] || []) {
+      data["tracklist"].push({
+        position: media.length > 1 ? `${medium["position"]}-${track["number"]}` : track["number"],
+        title: track["title"],
+        artist: artist_credit(track["artist-credit"]),
+        duration: format_duration(track["length"])
+      });
+    }
+  }
+  data["total_length"] = format_duration(media.reduce((sum, medium) => sum + (medium["tracks"] || []).reduce((s, t) => s + (t["length"] || 0), 0), 0));
+
+  let cover_art = release["cover-art-archive"] || {};
+  data["poster"] = cover_art["front"] ? `https://coverartarchive.org/release/${release["id"]}/front` : "";
+
+  data["format"] = render(format_music_release(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+/**
+ * 生成format，musicbrainz 与 discogs 共用
+ * 曲目中的歌手与专辑歌手不同时（如合辑）才会显示
+ */
+export function format_music_release(data) {
+  const link = data["musicbrainz_link"] || data["discogs_link"];
+  const label = (data["label"] || []).map(l => l.catalog_number ? `${l.name} (${l.catalog_number})` : l.name).join(" / ");
+  const tracklist = data["tracklist"] || [];
+  const show_artist = tracklist.some(t => t.artist && t.artist !== data["artist"]);
+
+  const rows = [["#", ...(show_artist ? ["Artist"] : []), "Title", "Duration"]];
+  for (const track of tracklist) {
+    rows.push([track.position, ...(show_artist ? [track.artist || data["artist"]] : []), track.title, track.duration]);
+  }
+
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    (data["artist"] && data["artist"].length > 0) ? [bold("Artist: "), `${data["artist"]}\n`] : "",
+    (data["title"] && data["title"].length > 0) ? [bold("Album: "), `${data["title"]}\n`] : "",
+    (data["release_type"] && data["release_type"].length > 0) ? [bold("Type: "), `${data["release_type"]}\n`] : "",
+    (data["release_date"] && data["release_date"].length > 0) ? [bold("Release Date: "), `${data["release_date"]}\n`] : "",
+    (data["country"] && data["country"].length > 0) ? [bold("Country: "), `${data["country"]}\n`] : "",
+    label ? [bold("Label: "), `${label}\n`] : "",
+    (data["media"] && data["media"].length > 0) ? [bold("Format: "), `${data["media"]}\n`] : "",
+    (data["barcode"] && data["barcode"].length > 0) ? [bold("Barcode: "), `${data["barcode"]}\n`] : "",
+    (data["genres"] && data["genres"].length > 0) ? [bold("Genres: "), `${data["genres"].join(", ")}\n`] : "",
+    (data["styles"] && data["styles"].length > 0) ? [bold("Styles: "), `${data["styles"].join(", ")}\n`] : "",
+    (data["total_length"] && data["total_length"].length > 0) ? [bold("Total Length: "), `${data["total_length"]}\n`] : "",
+    link ? [bold("Link: "), `${link}\n`] : "",
+    tracklist.length > 0 ? ["\n", bold("Tracklist"), "\n\n", table(rows), "\n"] : ""
+  ];
+}
+
+// 统一结构，musicbrainz 与 discogs 共用，见 lib/normalize.js
+export function normalize_music_release(data) {
+  const is_discogs = data["site"] === "discogs";
+  return normalized(data, {
+    type: "music",
+    link: data["musicbrainz_link"] || data["discogs_link"],
+    titles: {main: data["title"]},
+    release_date: data["release_date"],
+    genres: data["genres"],
+    tags: data["styles"],
+    regions: [data["country"]],
+    runtime: data["total_length"],
+    people: [...people([data["artist"]], "artist"), ...people(data["label"], "label")],
+    poster: data["poster"],
+    external_ids: is_discogs
+      ? {discogs_release: data["release_id"], discogs_master: data["master_id"], barcode: data["barcode"]}
+      : {musicbrainz_release: data["release_id"], musicbrainz_release_group: data["release_group_id"], barcode: data["barcode"]}
+  });
+}
+
+export const provider = {
+  name: "musicbrainz",
+  patterns: [
+    /(?:https?:\/\/)?(?:beta\.)?musicbrainz\.org\/((?:release|release-group)\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/
+  ],
+  search: search_musicbrainz,
+  search_paging: {size: SEARCH_PAGE_SIZE, types: []},
+  gen: gen_musicbrainz,
+  format: format_music_release,
+  normalize: normalize_music_release
+};
@@ -0,0 +1,160 @@
+/**
+ * v=2 响应中统一的资源信息结构，字段说明见 schema/v2.schema.json
+ *
+ * 各站点模块导出 normalize_<site>(data)，由生成结果构建该结构，并在 provider 中以 `normalize` 注册
+ * 本模块只提供构建时使用的辅助方法，各字段的取值规则（类型、单位等）统一在 normalized() 中处理
+ */
+
+export const SCHEMA_VERSION = 2;
+
+// 解析请求中的 `v` 字段，默认为 1（不附加统一结构），不支持的版本返回 null
+export function parseVersion(value) {
+  const version = value === null || value === undefined || value === "" ? 1 : Number(value);
+  return [1, SCHEMA_VERSION].includes(version) ? version : null;
+}
+
+// 数值，无法解析时为 null
+export function to_number(value) {
+  const number = parseFloat(String(value === null || value === undefined ? "" : value).replace(/,/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+// 整数，无法解析时为 null
+export function to_int(value) {
+  const number = to_number(value);
+  return number === null ? null : Math.round(number);
+}
+
+// 从日期等文本中取出年份
+function year_of(value) {
+  const match = String(value || "").match(/(?:^|\D)((?:18|19|20)\d{2})(?!\d)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// 日期，统一为 YYYY-MM-DD（只知道年月时为 YYYY-MM，只知道年份时为 YYYY）
+function date_of(value) {
+  const text = String(value || "");
+  const match = text.match(/((?:18|19|20)\d{2})(?:\s*[-年/.]\s*(\d{1,2})(?:\s*[-月/.]\s*(\d{1,2}))?)?/);
+  if (!match) {
+    return null;
+  }
+  return [match[1], match[2], match[3]].filter(Boolean).map((part, i) => i === 0 ? part : part.padStart(2, "0")).join("-");
+}
+
+// 时长，统一为分钟，支持数字、`142分钟`、`24 min`、ISO 8601 (`PT2H22M`) 以及 `42:50`
+function minutes_of(value) {
+  if (typeof value === "number") {
+    return value > 0 ? Math.round(value) : null;
+  }
+  const text = String(value || "");
+  let match;
+  if ((match = text.match(/^PT(?:(\d+)H)?(?:(\d+)M)?/))) {
+    return (parseInt(match[1] || "0") * 60 + parseInt(match[2] || "0")) || null;
+  } else if ((match = text.match(/^(?:(\d+):)?(\d+):(\d{2})$/))) {
+    return Math.round(parseInt(match[1] || "0") * 60 + parseInt(match[2]) + parseInt(match[3]) / 60) || null;
+  }
+  match = text.match(/\d+/);
+  return match ? parseInt(match[0]) || null : null;
+}
+
+// 去掉 BBCode 标签
+function strip_bbcode(text) {
+  return String(text).replace(/\[\/?[a-z0-9*]+(?:=[^\]]*)?]/gi, "").trim();
+}
+
+function strings(list) {
+  return [...new Set((list || []).map(s => String(s === null || s === undefined ? "" : s).trim()).filter(Boolean))];
+}
+
+/**
+ * 评分，值为空或 0 时返回 null（会被 normalized() 过滤）
+ * @param {string} source 评分来源，如 douban、imdb
+ * @param {*} value
+ * @param {number} max 满分
+ * @param {*} [votes] 评分人数
+ */
+export function rating(source, value, max, votes) {
+  const number = to_number(value);
+  if (!number) {
+    return null;
+  }
+  return {source: source, value: number, max: max, votes: to_int(votes)};
+}
+
+/**
+ * 人员列表
+ * @param {Array<string|{name: string}>} list 人名，或带有 name 字段（以及可选的 character、job 字段）的对象
+ * @param {string} role 见 schema 中 people.role 的可选值
+ */
+export function people(list, role) {
+  return (list || []).map(p => {
+    const person = typeof p === "string" ? {name: p} : p || {};
+    const result = {name: String(person.name || "").trim(), role: role};
+    if (person.character) result.character = person.character;
+    if (person.job) result.job = person.job;
+    return result;
+  }).filter(p => p.name);
+}
+
+// 形如 `职位: 人名1、人名2` 的列表拆分为人员
+export function labeled_people(list, role) {
+  const result = [];
+  for (const line of list || []) {
+    const match = String(line).match(/^([^:：]+)[:：]\s*(.+)$/);
+    if (!match) continue;
+    for (const name of match[2].split(/[、，,/]/)) {
+      result.push({name: name.trim(), job: match[1].trim()});
+    }
+  }
+  return people(result, role);
+}
+
+/**
+ * 构建统一结构，未给出的字段使用默认值
+ * @param {{site: string, sid: string}} data 生成结果
+ * @param {object} fields 各字段的原始值，year、release_date、runtime 等会在这里统一格式
+ */
+export function normalized(data, fields) {
+  const titles = fields.titles || {};
+  const main = titles.main ? String(titles.main).trim() : null;
+  const original = titles.original ? String(titles.original).trim() : main;
+  const known = [main, original];
+  const localized = strings(titles.localized).filter(t => !known.includes(t));
+  const aliases = strings(titles.aliases).filter(t => !known.includes(t) && !localized.includes(t));
+
+  const external_ids = {};
+  for (const [source, id] of Object.entries(fields.external_ids || {})) {
+    if (id !== null && id !== undefined && id !== "") {
+      external_ids[source] = String(id);
+    }
+  }
+
+  return {
+    site: data["site"],
+    sid: data["sid"],
+    type: fields.type || null,
+    link: fields.link || null,
+    titles: {
+      main: main || original || null,
+      original: original || null,
+      localized: localized,
+      aliases: aliases
+    },
+    year: year_of(fields.year) || year_of(fields.release_date),
+    release_date: date_of(fields.release_date),
+    genres: strings(fields.genres),
+    tags: strings(fields.tags),
+    languages: strings(fields.languages),
+    regions: strings(fields.regions),
+    runtime: minutes_of(fields.runtime),
+    description: fields.description ? strip_bbcode(fields.description) || null : null,
+    people: fields.people || [],
+    ratings: (fields.ratings || []).filter(Boolean),
+    images: {
+      poster: fields.poster || null,
+      backdrop: fields.backdrop || null,
+      screenshots: strings(fields.screenshots)
+    },
+    external_ids: external_ids
+  };
+}
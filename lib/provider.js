@@ -0,0 +1,202 @@
+import {cached, getCacheTtl} from "./cache";
+import {makeError} from "./error";
+import {render} from "./format";
+import {SCHEMA_VERSION} from "./normalize";
+
+import {provider as douban} from "./douban";
+import {provider as douban_book} from "./douban_book";
+import {provider as douban_music} from "./douban_music";
+import {provider as imdb} from "./imdb";
+import {provider as bangumi} from "./bangumi";
+import {provider as steam} from "./steam";
+import {provider as indienova} from "./indienova";
+import {provider as epic} from "./epic";
+import {provider as gog} from "./gog";
+import {provider as tmdb} from "./tmdb";
+import {provider as anilist, mal_provider as mal} from "./anilist";
+import {provider as vndb} from "./vndb";
+import {provider as musicbrainz} from "./musicbrainz";
+import {provider as discogs} from "./discogs";
+import {provider as tvmaze} from "./tvmaze";
+
+/**
+ * 资源站点注册表，新增站点时只需在对应模块中导出 provider 并在此处加入列表
+ *
+ * provider 的结构如下：
+ *  - name: 站点名，即请求中的 `site` 或 `source`
+ *  - patterns: 链接格式的正则列表，正则的分组只能有一个，而且必须是sid信息，其他分组必须设置不捕获属性
+ *  - search: (可选) 搜索方法 async (query) => {data: [...]}
+ *  - search_paging: (可选) 站点接口支持分页时为 {size: 每页结果数, types: 可由接口筛选的类型列表}，
+ *                   此时 search 为 async (query, {page, type}) => {data: [...], total: 接口给出的结果总数}，见 search()
+ *  - gen: 生成方法 async (sid) => {...}
+ *  - format: 由生成结果构建简介节点的方法 (data, options) => [...]，见 lib/format.js
+ *            options 为站点特有的渲染选项（如 tvmaze 的 season），不支持的站点忽略即可
+ *  - normalize: (可选) 由生成结果构建统一结构的方法 (data) => {...}，见 lib/normalize.js，用于 v=2 的响应
+ *  - merge: (可选) 可以合并的关联站点，如 {imdb: {sid: (data) => 关联的 sid, merge: (data, linked_data) => 合并后的结果}}，见 generateMerged()
+ *  - available: (可选) 站点在当前环境中能否使用 (action) => boolean，action 为 "search" 或 "generate"，如缺少 TMDB_API_TOKEN 时 tmdb 不可用
+ */
+export const providers = [douban, douban_book, douban_music, imdb, bangumi, steam, indienova, epic, gog, tmdb, anilist, mal, vndb, musicbrainz, discogs, tvmaze];
+
+export function getProvider(name) {
+  return providers.find(p => p.name === name);
+}
+
+// 从链接中解析出对应的 site 和 sid，不支持的链接返回 null
+export function matchUrl(url) {
+  for (const provider of providers) {
+    for (const pattern of provider.patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return {site: provider.name, sid: match[1]};
+      }
+    }
+  }
+  return null;
+}
+
+// 站点在当前环境中能否用于 action（"search" 或 "generate"），搜索还需要站点有 search 方法
+export function isAvailable(name, action) {
+  const provider = getProvider(name);
+  if (!provider || (action === "search" && typeof provider.search !== "function")) {
+    return false;
+  }
+  return provider.available ? provider.available(action) : true;
+}
+
+// 供 `/sites` 接口使用的站点列表，不包括当前环境中不可用的站点
+export function describeProviders() {
+  return providers.filter(p => isAvailable(p.name, "generate")).map(p => ({
+    name: p.name,
+    search: isAvailable(p.name, "search"),
+    patterns: p.patterns.map(pattern => pattern.source)
+  }));
+}
+
+/**
+ * 搜索，优先从 KV 中读取缓存
+ *  - 站点接口支持分页（provider.search_paging）时按 search_options 请求对应的页及类型，每页分别缓存，
+ *    返回该页的结果及 paging: {total: 接口给出的结果总数, type: 已由接口筛选的类型}，见 lib/search.js 的 applySearchOptions()
+ *  - 否则返回站点单次给出的全部结果
+ * @param {string} source
+ * @param {string} keywords
+ * @param {{refresh: boolean, waitUntil: function(Promise)}} options 见 lib/cache.js 的 cached()
+ * @param {{page: number, limit: number, type: ?string}} [search_options] 见 lib/search.js 的 parseSearchOptions()
+ */
+export async function search(source, keywords, options = {}, search_options = {}) {
+  const provider = getProvider(source);
+  if (!provider) {
+    return makeError("unsupported_site", "Unknown value of key `source`.");
+  }
+  if (!provider.search) {
+    // 没有对应方法搜索的资源站点
+    return makeError("unsupported_site", "Miss search function for `source`: " + source + ".");
+  }
+
+  const paging = provider.search_paging;
+  if (!paging) {
+    const result = await cached(`search-${source}-${keywords}`, getCacheTtl(source), () => provider.search(keywords), options);
+    // 搜索方法只返回 {data: [...]}，成功时补上 success 字段，否则响应中会使用默认的 false
+    return Array.isArray(result.data) ? Object.assign({success: true}, result) : result;
+  }
+
+  const {page = 1, limit = paging.size} = search_options;
+  const type = paging.types.includes(search_options.type) ? search_options.type : null;
+  const start = (page - 1) * limit;
+  const data = [];
+  let total = 0;
+  // 依次请求覆盖 [start, start + limit) 的各页，超出结果总数时停止
+  for (let p = Math.floor(start / paging.size) + 1; p <= Math.ceil((start + limit) / paging.size); p++) {
+    const result = await cached(`search-${source}-${keywords}#${type || ""}:${p}`, getCacheTtl(source), () => provider.search(keywords, {page: p, type: type}), options);
+    if (!Array.isArray(result.data)) {
+      return result;
+    }
+    data.push(...result.data);
+    total = result.total;
+    if (p * paging.size >= total) {
+      break;
+    }
+  }
+  const skip = start % paging.size;
+  return {success: true, data: data.slice(skip, skip + limit), paging: {total: total, type: type}};
+}
+
+/**
+ * 生成简介，优先从 KV 中读取缓存
+ * @param {string} site
+ * @param {string} sid
+ * @param {{refresh: boolean, waitUntil: function(Promise)}} options 见 lib/cache.js 的 cached()
+ */
+export async function generate(site, sid, options = {}) {
+  const provider = getProvider(site);
+  if (!provider) {
+    return makeError("unsupported_site", "Unknown value of key `site`.");
+  }
+
+  return await cached(`info-${site}-${sid}`, getCacheTtl(site), () => provider.gen(sid), options);
+}
+
+// 站点是否支持合并 merge 对应的关联站点
+export function canMerge(site, merge) {
+  const provider = getProvider(site);
+  return Boolean(provider && provider.merge && provider.merge[merge]);
+}
+
+/**
+ * 生成简介并合并关联站点的生成结果，如 douban 的 `merge=imdb`，两个站点分别读取和写入缓存
+ *  - 关联站点生成失败或没有关联的资源时，仍返回原站点的结果，原因见 errors 字段（与聚合搜索相同）
+ * @param {string} site
+ * @param {string} sid
+ * @param {string} merge 关联站点，需满足 canMerge(site, merge)
+ * @param {{refresh: boolean, waitUntil: function(Promise)}} options 见 lib/cache.js 的 cached()
+ */
+export async function generateMerged(site, sid, merge, options = {}) {
+  const data = await generate(site, sid, options);
+  if (!data.success) {
+    return data;
+  }
+
+  const {sid: linked_sid, merge: merge_data} = getProvider(site).merge[merge];
+  let linked;
+  if (!linked_sid(data)) {
+    linked = makeError("not_found", `No linked resource of \`${merge}\`.`);
+  } else {
+    try {
+      linked = await generate(merge, linked_sid(data), options);
+    } catch (e) {
+      linked = makeError("internal_error", `Internal Error. Exception: ${e.message}`);
+    }
+  }
+
+  if (!linked.success) {
+    return Object.assign({}, data, {errors: {[merge]: {error: linked.error, error_code: linked.error_code}}});
+  }
+  return Object.assign(merge_data(data, linked), {errors: {}});
+}
+
+/**
+ * 按 format_type 及渲染选项重新渲染简介，生成时默认使用的是 bbcode 且不带任何选项
+ * @param {object} data
+ * @param {string} format_type
+ * @param {object} [format_options] 传给 provider.format 的选项，值为空的选项会被忽略
+ */
+export function reformat(data, format_type, format_options = {}) {
+  const provider = getProvider(data.site);
+  const options = Object.fromEntries(Object.entries(format_options).filter(([, v]) => v !== null && v !== undefined && v !== ""));
+  if ((format_type === "bbcode" && Object.keys(options).length === 0) || !data.success || !provider || !provider.format) {
+    return data;
+  }
+  return Object.assign({}, data, {format: render(provider.format(data, options), format_type)});
+}
+
+/**
+ * v=2 时在生成结果中附加统一结构的 `data` 字段，原有字段保持不变
+ * @param {object} data
+ * @param {number} version 响应版本，见 lib/normalize.js 的 SCHEMA_VERSION
+ */
+export function withNormalized(data, version) {
+  const provider = getProvider(data.site);
+  if (version !== SCHEMA_VERSION || !data.success || !provider || !provider.normalize) {
+    return data;
+  }
+  return Object.assign({}, data, {data: provider.normalize(data)});
+}
@@ -0,0 +1,131 @@
+import {makeError} from "./error";
+
+/**
+ * 按客户端限制请求频率，避免单个脚本请求过多导致整个实例被上游站点封禁
+ *  - 客户端以 apikey 区分，匿名请求以 IP 区分
+ *  - 搜索与生成分别计数，并按站点分别计数
+ *  - 限额通过环境变量设置，格式为 `次数/秒数`（省略秒数时为60秒），未设置时不限制：
+ *      RATE_LIMIT_SEARCH、RATE_LIMIT_GENERATE                  所有站点的默认限额
+ *      RATE_LIMIT_SEARCH_<SITE>、RATE_LIMIT_GENERATE_<SITE>    单个站点的限额，如 RATE_LIMIT_GENERATE_DOUBAN=10/60
+ * Cloudflare Worker 的各个实例间不共享内存，故使用 KV 计数（KV 并非强一致，计数只是近似值）；
+ * Node.js 为单进程，由 server.js 调用 useMemoryCounter() 改为在内存中计数
+ */
+
+/* global PT_GEN_STORE */
+
+const DEFAULT_WINDOW = 60;
+
+// 内存计数，键名 => {count, expiry}
+const memory_counts = new Map();
+
+const memory_counter = {
+  async get(key) {
+    const item = memory_counts.get(key);
+    return item && item.expiry > Date.now() ? item.count : 0;
+  },
+  async add(key, count, ttl) {
+    const now = Date.now();
+    if (memory_counts.size > 10000) { // 清理过期的计数，防止内存无限增长
+      for (const [k, item] of memory_counts) {
+        if (item.expiry <= now) memory_counts.delete(k);
+      }
+    }
+    const current = await this.get(key);
+    memory_counts.set(key, {count: current + count, expiry: now + ttl * 1000});
+  }
+};
+
+const kv_counter = {
+  async get(key) {
+    return parseInt(await PT_GEN_STORE.get(key)) || 0;
+  },
+  async add(key, count, ttl) {
+    const current = await this.get(key);
+    try {
+      await PT_GEN_STORE.put(key, String(current + count), {expirationTtl: Math.max(ttl, 60)}); // KV 最短的过期时间为60秒
+    } catch (e) {
+      // KV 对同一键的写入频率有限制，计数失败时不影响请求本身
+    }
+  }
+};
+
+let use_memory = false;
+
+// 改为在内存中计数，供 Node.js 使用
+export function useMemoryCounter() {
+  use_memory = true;
+}
+
+function counter() {
+  return (use_memory || !globalThis['PT_GEN_STORE']) ? memory_counter : kv_counter;
+}
+
+/**
+ * 解析 `次数/秒数` 格式的限额
+ * @param {string} value
+ * @return {{limit: number, window: number}|null}
+ */
+export function parseLimit(value) {
+  const match = String(value || "").trim().match(/^(\d+)(?:\s*\/\s*(\d+))?$/);
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+  return {limit: parseInt(match[1]), window: parseInt(match[2]) || DEFAULT_WINDOW};
+}
+
+// 对应动作与站点的限额，站点的设置优先
+export function getLimit(action, site) {
+  const name = `RATE_LIMIT_${action.toUpperCase()}`;
+  return parseLimit(site ? (globalThis[`${name}_${site.toUpperCase()}`] || globalThis[name]) : globalThis[name]);
+}
+
+/**
+ * 检查并记录请求，超出限额时返回错误且不计数
+ * @param {string} client 客户端标识，见 clientId()
+ * @param {string} action "search" 或 "generate"
+ * @param {string|Array<string>} site 站点名，批量请求时为每一项的站点
+ * @return {Promise<{error: string, error_code: string, retry_after: number}|null>}
+ */
+export async function checkRateLimit(client, action, site) {
+  const sites = Array.isArray(site) ? site : [site];
+  const counts = {};
+  for (const s of sites) {
+    counts[s || ""] = (counts[s || ""] || 0) + 1;
+  }
+
+  const now = Date.now() / 1000;
+  const checked = [];
+  for (const [s, count] of Object.entries(counts)) {
+    const limit = getLimit(action, s);
+    if (limit === null) continue;
+
+    // 固定窗口计数
+    const window_start = Math.floor(now / limit.window) * limit.window;
+    const key = `ratelimit-${client}-${action}-${s}-${window_start}`;
+    if (await counter().get(key) + count > limit.limit) {
+      return Object.assign(
+        makeError("rate_limited", `Too many ${action} requests${s ? " for `" + s + "`" : ""}, at most ${limit.limit} per ${limit.window} seconds.`),
+        {retry_after: Math.ceil(window_start + limit.window - now)}
+      );
+    }
+    checked.push([key, count, limit.window]);
+  }
+
+  for (const [key, count, window] of checked) {
+    await counter().add(key, count, window);
+  }
+  return null;
+}
+
+/**
+ * 客户端标识，有 apikey 时使用 apikey，否则使用 IP
+ * @param {{request: Request, clientIp: (string|undefined)}} event clientIp 由 server.js 设置
+ * @param {object} key 见 lib/auth.js
+ * @return {string}
+ */
+export function clientId(event, key) {
+  if (key.id !== null) {
+    return `key:${key.id}`;
+  }
+  return `ip:${event.clientIp || event.request.headers.get("CF-Connecting-IP") || "unknown"}`;
+}
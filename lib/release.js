@@ -0,0 +1,343 @@
+import {makeJsonResponse} from "./common";
+import {errorStatus, makeError, makeErrorDataResponse, makeErrorResponse} from "./error";
+import {checkScope, consumeQuota} from "./auth";
+import {checkRateLimit, clientId} from "./ratelimit";
+import {generate, matchUrl, reformat, withNormalized} from "./provider";
+import {parseVersion} from "./normalize";
+import {FORMAT_TYPES} from "./format";
+import {applyTemplate} from "./template";
+import {aggregateSearch, checkSearchDisabled, parseSources, resultType, titleKey} from "./search";
+
+/**
+ * 发布名（种子名）解析，如 `The.Matrix.1999.2160p.UHD.BluRay.x265-GROUP`、`[SubsPlease] Sousou no Frieren - 01 (1080p) [ABCD1234].mkv`
+ * 解析出标题、年份、季集及各技术标签后，使用已有的搜索找到最匹配的资源并生成简介
+ */
+
+// 未指定 source 时使用的搜索站点
+const DEFAULT_SOURCES = {movie: ["douban", "imdb"], tv: ["douban", "imdb"], anime: ["bangumi", "anilist"]};
+
+// 各类技术标签，按 `.` 分隔后逐段匹配，返回统一后的写法
+const tag_list = {
+  resolution: [
+    [/^(2160|1080|720|576|480)[pi]$/i, m => m[0].toLowerCase()],
+    [/^4K$/i, () => "2160p"]
+  ],
+  source: [
+    [/^(?:BluRay|BD|BDMV)$/i, () => "BluRay"],
+    [/^(?:BDRip|BRRip)$/i, () => "BDRip"],
+    [/^WEB-?DL$/i, () => "WEB-DL"],
+    [/^WEB-?Rip$/i, () => "WEBRip"],
+    [/^WEB$/i, () => "WEB"],
+    [/^HDTV$/i, () => "HDTV"],
+    [/^HDRip$/i, () => "HDRip"],
+    [/^DVDRip$/i, () => "DVDRip"],
+    [/^DVD(?:5|9)?$/i, () => "DVD"]
+  ],
+  video_codec: [
+    [/^x26([45])$/i, m => `x26${m[1]}`],
+    [/^H26([45])$/i, m => `H.26${m[1]}`],
+    [/^(HEVC|AVC|AV1|VC-1|XviD|DivX|MPEG-2)$/i, m => m[1].toUpperCase().replace("XVID", "XviD").replace("DIVX", "DivX")]
+  ],
+  bit_depth: [
+    [/^(8|10|12)-?bits?$/i, m => `${m[1]}bit`]
+  ],
+  hdr: [
+    [/^HDR10(\+|Plus)$/i, () => "HDR10+"],
+    [/^(HDR10|HDR|HLG)$/i, m => m[1].toUpperCase()],
+    [/^(DV|DoVi)$/i, () => "DV"]
+  ],
+  audio_codec: [
+    [/^(DDP|DD\+|E-?AC-?3|DD|AC-?3|AAC|TrueHD|DTS-HD_MA|DTS-HD|DTS-X|DTS|FLAC|LPCM|PCM|Opus|MP3)(\d_\d)?$/i, m => audio_codecs[m[1].toUpperCase()] || m[1]]
+  ],
+  audio_channels: [
+    [/^(?:DDP|DD\+|E-?AC-?3|DD|AC-?3|AAC|TrueHD|DTS-HD_MA|DTS-HD|DTS-X|DTS|FLAC|LPCM|PCM|Opus|MP3)?(\d)_(\d)$/i, m => `${m[1]}.${m[2]}`]
+  ],
+  edition: [
+    [/^(Extended|Unrated|Uncut|Remastered|IMAX|Criterion|Theatrical|DC)$/i, m => m[1].length > 3 ? m[1][0].toUpperCase() + m[1].slice(1).toLowerCase() : m[1].toUpperCase()]
+  ],
+  remux: [
+    [/^REMUX$/i, () => true]
+  ],
+  uhd: [
+    [/^UHD$/i, () => true]
+  ],
+  atmos: [
+    [/^Atmos$/i, () => true]
+  ]
+};
+
+const audio_codecs = {
+  "DDP": "DD+", "DD+": "DD+", "EAC3": "DD+", "E-AC-3": "DD+", "E-AC3": "DD+", "EAC-3": "DD+",
+  "DD": "DD", "AC3": "DD", "AC-3": "DD",
+  "TRUEHD": "TrueHD", "DTS-HD_MA": "DTS-HD MA", "OPUS": "Opus"
+};
+
+// 可以出现多次的标签
+const multiple_tags = ["hdr", "edition"];
+
+function classify(token) {
+  const result = {};
+  for (const [name, patterns] of Object.entries(tag_list)) {
+    for (const [pattern, value] of patterns) {
+      const match = token.match(pattern);
+      if (match) {
+        result[name] = value(match);
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+// 把需要跨越分隔符的写法合并为一段，如 H.264、DD+5.1、DTS-HD.MA、Dolby.Vision
+function join_tokens(name) {
+  return name
+    .replace(/\bH\.(26[45])\b/gi, "H$1")
+    .replace(/(?<=[A-Za-z+.])([1-9])\.([0-2])(?=\.|$)/g, "$1_$2")
+    .replace(/\bDTS-HD\.MA\b/gi, "DTS-HD_MA")
+    .replace(/\bDolby\.Vision\b/gi, "DV")
+    .replace(/\bWEB\.(DL|Rip)\b/gi, "WEB-$1")
+    .replace(/\bBlu-?Ray\b/gi, "BluRay");
+}
+
+// 标题中同时有中文与外文时分开，中文部分作为 localized_title
+function split_title(words) {
+  const cjk = words.filter(w => /[\u3040-\u30ff\u3400-\u9fff]/.test(w));
+  const others = words.filter(w => !cjk.includes(w));
+  if (cjk.length === 0 || others.length === 0) {
+    return {title: words.join(" ") || null, localized_title: null};
+  }
+  return {title: others.join(" "), localized_title: cjk.join(" ")};
+}
+
+/**
+ * 解析发布名
+ * @param {string} name
+ * @return {object} 没有的信息为 null（hdr、edition 为空数组）
+ */
+export function parseRelease(name) {
+  const release = {
+    title: null, localized_title: null, year: null, season: null, episode: null, type: "movie",
+    resolution: null, source: null, remux: false, video_codec: null, bit_depth: null, hdr: [],
+    audio_codec: null, audio_channels: null, edition: [], group: null
+  };
+
+  let rest = String(name).trim().replace(/\.(?:mkv|mp4|avi|ts|m2ts|wmv|iso|torrent)$/i, "");
+  let title_part = null;
+
+  // 字幕组格式：`[组名] 标题 - 01 (1080p) [CRC]`
+  const fansub = rest.match(/^\[([^\]]+)\]\s*(.+)$/);
+  if (fansub) {
+    release.group = fansub[1].trim();
+    release.type = "anime";
+    rest = fansub[2];
+    const episode = rest.match(/^(.+?)\s+-\s+(\d{1,4})(?:v\d)?(?=[\s.[(]|$)/);
+    if (episode) {
+      title_part = episode[1];
+      release.episode = parseInt(episode[2]);
+      rest = rest.slice(episode[0].length);
+    }
+    rest = rest.replace(/\[[0-9A-F]{8}]/i, "");
+  } else {
+    rest = rest.replace(/\[[^\]]*]$/, ""); // 结尾的 [站点名]
+    const group = rest.match(/-([^-.\s[\]()]+)$/);
+    if (group && !/^(?:DL|Rip|HD|X|MA|\d+)$/i.test(group[1])) {
+      release.group = group[1];
+      rest = rest.slice(0, -group[0].length);
+    }
+  }
+
+  const tokens = join_tokens(rest.replace(/[[\]()]/g, ".").replace(/[\s_]+/g, ".")).split(".").filter(Boolean);
+  const tags = tokens.map(classify);
+  const is_year = i => /^(?:19|20)\d{2}$/.test(tokens[i]);
+  const episode_of = token => token.match(/^S(\d{1,2})(?:E(\d{1,4})(?:-?E?\d{1,4})?)?$/i) || token.match(/^(\d{1,2})x(\d{2,4})$/i);
+
+  // 标题在第一个标签（不含年份）之前，标题中可能含有年份（如 Blade.Runner.2049.2017），取其中最后一个作为年份
+  // 第一段只有分辨率与季集视为标签，其他标签可能是标题中的单词（如 Web.of.Lies）
+  let boundary = tokens.findIndex((t, i) => (i > 0 ? Object.keys(tags[i]).length > 0 : Boolean(tags[i].resolution)) || episode_of(t));
+  if (boundary === -1) boundary = tokens.length;
+  const years = tokens.map((t, i) => i).filter(i => i > 0 && i < boundary && is_year(i));
+  let title_end = boundary;
+  if (years.length > 0) {
+    title_end = years[years.length - 1];
+    release.year = parseInt(tokens[title_end]);
+  } else {
+    const later = tokens.findIndex((t, i) => i > boundary && is_year(i));
+    if (later !== -1) release.year = parseInt(tokens[later]);
+  }
+
+  const words = title_part !== null ? title_part.trim().split(/[\s.]+/) : tokens.slice(0, title_end);
+  Object.assign(release, split_title(words));
+  const tag_start = title_part !== null ? 0 : title_end;
+
+  for (let i = tag_start; i < tokens.length; i++) {
+    const episode = episode_of(tokens[i]);
+    if (episode && release.season === null) {
+      release.season = parseInt(episode[1]);
+      release.episode = episode[2] ? parseInt(episode[2]) : release.episode;
+      if (release.type === "movie") release.type = "tv";
+    }
+    for (const [key, value] of Object.entries(tags[i])) {
+      if (multiple_tags.includes(key)) {
+        if (!release[key].includes(value)) release[key].push(value);
+      } else if (["remux", "uhd", "atmos"].includes(key)) {
+        release[key] = value;
+      } else if (release[key] === null) {
+        release[key] = value;
+      }
+    }
+  }
+
+  if (release.uhd) {
+    release.resolution = release.resolution || "2160p";
+    if (release.source === "BluRay") release.source = "UHD BluRay";
+  }
+  if (release.atmos && release.audio_codec) {
+    release.audio_codec += " Atmos";
+  }
+  delete release.uhd;
+  delete release.atmos;
+  return release;
+}
+
+// 搜索结果与发布名的匹配程度，标题不匹配时为 0
+function score(release, site, result) {
+  const titles = [release.title, release.localized_title].filter(Boolean).map(titleKey);
+  const keys = [result.title, result.subtitle].map(titleKey).filter(Boolean);
+  let value = keys.some(k => titles.includes(k)) ? 4 : keys.some(k => titles.some(t => k.includes(t) || t.includes(k))) ? 1 : 0;
+  if (value === 0) {
+    return 0;
+  }
+
+  const year = parseInt(result.year);
+  if (release.year && year) {
+    value += year === release.year ? 3 : Math.abs(year - release.year) === 1 ? 1 : -2; // 不同地区的上映年份可能相差一年
+  }
+  const type = resultType(site, result);
+  if (type) {
+    const types = release.type === "anime" ? ["anime", "tv"] : [release.type];
+    value += types.includes(type) ? 1 : -2;
+  }
+  return Math.max(value, 0);
+}
+
+/**
+ * 解析发布名并搜索最匹配的资源，不生成简介
+ * @param {string} name
+ * @param {Array<string>|null} sources 搜索的站点，为空时按类型使用 DEFAULT_SOURCES
+ * @param {{waitUntil: function(Promise), charge: function(string, Array<string>): Promise<?object>}} options
+ *        见 lib/cache.js 的 cached()；charge(action, sites) 计入每次搜索（标题与中文标题分别搜索），返回错误时终止并返回该错误
+ * @return {Promise<object>} {release: 解析结果, match: {site, sid, link, title, year}}，没有匹配时为带有 release 字段的错误
+ */
+export async function matchRelease(name, sources, options = {}) {
+  const release = parseRelease(name);
+  if (!release.title) {
+    return Object.assign(makeError("invalid_request", "Could not find a title in `name`."), {release: release});
+  }
+  sources = sources || DEFAULT_SOURCES[release.type];
+
+  let best = null;
+  let errors = {};
+  for (const query of [release.title, release.localized_title].filter(Boolean)) {
+    const denied = options.charge ? await options.charge("search", sources) : null;
+    if (denied) {
+      return Object.assign(denied, {release: release});
+    }
+    const result = await aggregateSearch(sources, query, options);
+    errors = Object.assign(errors, result.errors);
+    for (const candidate of Array.isArray(result.data) ? result.data : []) {
+      const value = score(release, candidate.site, candidate);
+      if (value > 0 && (!best || value > best.score)) {
+        best = {score: value, candidate: candidate};
+      }
+    }
+  }
+
+  if (!best) {
+    return Object.assign(makeError("not_found", "No matching resource found for the release name."), {release: release, errors: errors});
+  }
+  const {site, sid} = matchUrl(best.candidate.link) || {};
+  if (!site) {
+    return Object.assign(makeError("unsupported_site", "Unsupported resource `url`: " + best.candidate.link + "."), {release: release});
+  }
+  return {
+    release: release,
+    match: {site: site, sid: sid, link: best.candidate.link, title: best.candidate.title, year: best.candidate.year}
+  };
+}
+
+/**
+ * 解析发布名，搜索并生成最匹配的资源
+ * @param {string} name
+ * @param {Array<string>|null} sources 见 matchRelease()
+ * @param {object} options 见 lib/cache.js 的 cached()
+ * @return {Promise<object>} 生成结果，并带有 release（解析结果）与 match（使用的搜索结果）字段
+ */
+export async function resolveRelease(name, sources, options = {}) {
+  const matched = await matchRelease(name, sources, options);
+  if (!matched.match) {
+    return matched;
+  }
+  return with_match(await generate(matched.match.site, matched.match.sid, options), matched);
+}
+
+// 在生成结果中附加发布名的解析结果与匹配的资源
+function with_match(data, {release, match}) {
+  return Object.assign({}, data, {release: release, match: match});
+}
+
+/**
+ * 发布名解析接口
+ *  GET /release?name=The.Matrix.1999.2160p.UHD.BluRay.x265-GROUP
+ *  可选 source（以逗号分隔的站点列表）、format_type、v、template、template_name，与生成简介时相同
+ *  parse_only=1 时只返回解析结果，不进行搜索；设置 DISABLE_SEARCH 时只能使用 parse_only
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ * @param {object} key 请求使用的 apikey，见 lib/auth.js
+ */
+export async function handleRelease(event, key) {
+  const uri = new URL(event.request.url);
+  const name = uri.searchParams.get("name");
+  if (!name) {
+    return makeErrorResponse("invalid_request", "Miss key of `name`.");
+  } else if (uri.searchParams.get("parse_only")) {
+    return makeJsonResponse({success: true, release: parseRelease(name)});
+  }
+  const search_disabled = checkSearchDisabled();
+  if (search_disabled) {
+    return makeErrorDataResponse(search_disabled);
+  }
+
+  const format_type = uri.searchParams.get("format_type") || "bbcode";
+  const version = parseVersion(uri.searchParams.get("v"));
+  if (!FORMAT_TYPES.includes(format_type)) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `format_type`.");
+  } else if (version === null) {
+    return makeErrorResponse("invalid_request", "Unknown value of key `v`.");
+  }
+
+  // 搜索与生成都可能使用其中的任一站点，请求时按每个站点检查权限；
+  // 实际进行的每次搜索（标题与中文标题各一次）分别计入频率限制与用量，生成的计数在选定资源后、生成前进行
+  const sources = uri.searchParams.get("source") ? parseSources(uri.searchParams.get("source")) : DEFAULT_SOURCES[parseRelease(name).type];
+  const denied = sources.map(s => checkScope(key, "search", s) || checkScope(key, "generate", s)).find(Boolean);
+  if (denied) {
+    return makeErrorDataResponse(denied);
+  }
+
+  const charge = async (action, sites) => await checkRateLimit(clientId(event, key), action, sites) || await consumeQuota(key, sites);
+  const cache_options = {waitUntil: promise => event.waitUntil(promise)};
+  const matched = await matchRelease(name, sources, Object.assign({charge: charge}, cache_options));
+  if (!matched.match) {
+    return makeErrorDataResponse(matched);
+  }
+  const limit_error = await charge("generate", matched.match.site);
+  if (limit_error) {
+    return makeErrorDataResponse(Object.assign(limit_error, {release: matched.release, match: matched.match}));
+  }
+  let response_data = with_match(await generate(matched.match.site, matched.match.sid, cache_options), matched);
+  response_data = withNormalized(reformat(response_data, format_type), version);
+  response_data = await applyTemplate(response_data, {
+    template: uri.searchParams.get("template"),
+    template_name: uri.searchParams.get("template_name")
+  });
+  return makeJsonResponse(response_data, errorStatus(response_data));
+}
@@ -0,0 +1,262 @@
+import {AUTHOR, makeJsonResponse, makeJsonRawResponse} from "./common";
+import debug_get_err, {errorStatus, makeError, makeErrorDataResponse} from "./error";
+import {authenticate, checkScope, consumeQuota, handleApiKeys} from "./auth";
+import {checkRateLimit, clientId} from "./ratelimit";
+
+import {canMerge, describeProviders, generate, generateMerged, matchUrl, reformat, search, withNormalized} from "./provider";
+import {parseVersion} from "./normalize";
+import schema from "../schema/v2.schema.json";
+import {getCacheTtl} from "./cache";
+import {FORMAT_TYPES} from "./format";
+import {applyTemplate, handleTemplates} from "./template";
+import {handleBatch} from "./batch";
+import {handleLookup} from "./lookup";
+import {handleRelease} from "./release";
+import {handleMediaInfo} from "./mediainfo";
+import {aggregateSearch, applySearchOptions, checkSearchDisabled, isAggregateSource, parseSearchOptions, parseSources} from "./search";
+import page from '../index.html';
+
+/**
+ * Fetch and log a request
+ * Cloudflare Worker (index.js) 与 Node.js (server.js) 共用的请求处理入口
+ * @param {{request: Request, waitUntil: function(Promise), clientIp: (string|undefined)}} event
+ *   clientIp 只在 Node.js 环境下由 server.js 提供，Cloudflare Worker 中从 CF-Connecting-IP 请求头获取
+ */
+export async function handle(event) {
+  const request = event.request; // 获取请求
+
+  // 处理OPTIONS
+  if (request.method === "OPTIONS") {
+    return handleOptions(request);
+  }
+
+  // 使用URI() 解析request.url
+  let uri = new URL(request.url);
+
+  // 不存在任何请求字段，且在根目录，返回默认页面（HTML）
+  if (uri.pathname === '/' && uri.search === '') {
+    return makeIndexResponse();
+  }
+
+  // 其他的请求均应视为ajax请求，返回JSON
+  try {
+    // 鉴权，见 lib/auth.js，需在读取缓存前进行，使缓存命中的请求同样受权限及限额控制
+    const {key, error} = await authenticate(request, uri);
+    if (error) {
+      return makeErrorDataResponse(error);
+    }
+
+    if (uri.pathname === '/sites') {
+      // 列出支持的站点、是否支持搜索及链接格式
+      return makeJsonRawResponse({
+        data: describeProviders()
+      })
+    } else if (uri.pathname === '/schema') {
+      // v=2 响应中 data 字段的 JSON Schema
+      return makeJsonRawResponse(schema);
+    } else if (uri.pathname === '/batch') {
+      // 批量生成，POST请求不能放入 Cache API，所以直接返回
+      const denied = checkScope(key, "batch");
+      return denied ? makeErrorDataResponse(denied) : await handleBatch(event, key);
+    } else if (uri.pathname === '/lookup') {
+      // 反查其他站点中对应的资源，对应关系保存在 KV 中，不放入 Cache API
+      return await handleLookup(event, key);
+    } else if (uri.pathname === '/release') {
+      // 由发布名（种子名）识别并生成最匹配的资源，搜索与生成结果已分别缓存在 KV 中
+      return await handleRelease(event, key);
+    } else if (uri.pathname === '/mediainfo') {
+      // 生成简介并附加 MediaInfo / BDInfo 的技术参数，POST请求不能放入 Cache API
+      return await handleMediaInfo(event, key);
+    } else if (uri.pathname === '/templates') {
+      // 具名模板管理
+      const denied = checkScope(key, "admin");
+      return denied ? makeErrorDataResponse(denied) : await handleTemplates(event);
+    } else if (uri.pathname === '/apikeys') {
+      // API Key 管理及用量查询
+      const denied = checkScope(key, "admin");
+      return denied ? makeErrorDataResponse(denied) : await handleApiKeys(event);
+    }
+
+    return await handleQuery(event, uri, key);
+  } catch (e) {
+    let err_return = makeError("internal_error", `Internal Error, Please contact @${AUTHOR}. Exception: ${e.message}`);
+
+    err_return['debug'] = debug_get_err(e, request);
+    // 当发生Internal Error的时候不应该进行cache
+    return makeJsonResponse(err_return, 500);
+  }
+}
+
+// 搜索及内容生成，结果会放入 Cache API
+async function handleQuery(event, uri, key) {
+  const is_search = Boolean(uri.searchParams.get('search'));
+  const target = is_search ? {site: uri.searchParams.get('source') || 'douban'} : resolveTarget(uri);
+
+  // 聚合搜索时按其中的每个站点检查权限并计数，`all` 只包含 apikey 可以访问的站点
+  let aggregate_sources = is_search && isAggregateSource(target.site) ? parseSources(target.site, uri.searchParams.get("type")) : null;
+  if (aggregate_sources && target.site === "all") {
+    aggregate_sources = aggregate_sources.filter(s => !checkScope(key, "search", s));
+  }
+  // `&merge=imdb` 同时生成关联站点，权限检查与计数同样包括关联站点
+  const merge = is_search ? null : uri.searchParams.get("merge");
+  const merge_site = merge && canMerge(target.site, merge) ? merge : null;
+  const sites = aggregate_sources || (merge_site ? [target.site, merge_site] : target.site);
+
+  // `&refresh=1` 跳过所有缓存重新生成，不允许匿名使用
+  const refresh = Boolean(uri.searchParams.get("refresh"));
+  const action = is_search ? "search" : "generate";
+  const denied = (aggregate_sources ? checkAggregateScope(key, aggregate_sources) : checkScope(key, action, target.site)) ||
+    (merge_site ? checkScope(key, action, merge_site) : null) ||
+    (refresh && key.id === null ? makeError("auth_required", "apikey required.") : null) ||
+    await checkRateLimit(clientId(event, key), action, sites) ||
+    await consumeQuota(key, sites);
+  if (denied) {
+    return makeErrorDataResponse(denied);
+  }
+
+  // 检查缓存，命中则直接返回（Node.js 环境下没有 Cache API，直接跳过）
+  // 缓存键不包含 refresh 与 apikey 字段，使强制刷新后的结果能覆盖原有缓存
+  // 聚合搜索的站点列表随 apikey 可访问的站点变化，缓存键中的 source 替换为实际搜索的站点
+  const cache = globalThis['caches'] ? caches.default : null; // 定义缓存
+  const cache_request = cacheRequest(event.request, uri, aggregate_sources);
+  let response = (cache && !refresh) ? await cache.match(cache_request) : undefined;
+  if (response) {
+    return response;
+  }
+
+  const cache_options = {
+    refresh: refresh,
+    waitUntil: promise => event.waitUntil(promise)
+  };
+  const cache_ttl = getCacheTtl(target.site); // 响应在 Cache API 中的缓存时长
+
+  let response_data;
+  if (is_search) {
+    const search_disabled = checkSearchDisabled();
+    if (search_disabled) {
+      response_data = search_disabled;
+    } else {
+      // 搜索类（通过PT-Gen代理），站点接口支持时分页与类型由接口处理，否则在缓存的完整结果上进行
+      const search_options = parseSearchOptions(uri.searchParams);
+      if (search_options.error) {
+        response_data = search_options;
+      } else {
+        response_data = aggregate_sources
+          ? await aggregateSearch(aggregate_sources, uri.searchParams.get('search'), cache_options, search_options.options.type)
+          : await search(target.site, uri.searchParams.get('search'), cache_options, search_options.options);
+        response_data = applySearchOptions(response_data, search_options.options, target.site);
+      }
+    }
+  } else {
+    // 内容生成类
+    const {site, sid} = target;
+    const format_type = uri.searchParams.get("format_type") || "bbcode";
+    const version = parseVersion(uri.searchParams.get("v"));
+
+    // 如果site和sid不存在的话，提前返回
+    if (site == null || sid == null) {
+      response_data = makeError(
+        uri.searchParams.get("url") ? "unsupported_site" : "invalid_request",
+        "Miss key of `site` or `sid` , or input unsupported resource `url`."
+      );
+    } else if (!FORMAT_TYPES.includes(format_type)) {
+      response_data = makeError("invalid_request", "Unknown value of key `format_type`.");
+    } else if (version === null) {
+      response_data = makeError("invalid_request", "Unknown value of key `v`.");
+    } else if (merge && !merge_site) {
+      response_data = makeError("invalid_request", "Unknown value of key `merge`.");
+    } else {
+      const generated = merge_site ? await generateMerged(site, sid, merge_site, cache_options) : await generate(site, sid, cache_options);
+      response_data = reformat(generated, format_type, {
+        season: uri.searchParams.get("season") // tvmaze: 只包含指定季的分集
+      });
+      response_data = withNormalized(response_data, version);
+      response_data = await applyTemplate(response_data, {
+        template: uri.searchParams.get("template"),
+        template_name: uri.searchParams.get("template_name")
+      });
+    }
+  }
+
+  response = makeJsonResponse(response_data, errorStatus(response_data));
+
+  // 添加缓存
+  // 错误结果中只缓存资源不存在的情况，被限制访问等临时错误不应缓存，部分站点失败的聚合搜索及合并结果同样不缓存
+  // 具名模板可以通过 `/templates` 修改，而缓存键只有链接，使用具名模板的结果同样不缓存
+  const partial = Boolean(response_data.errors && Object.keys(response_data.errors).length > 0);
+  const named_template = Boolean(uri.searchParams.get("template_name"));
+  if (cache && cache_ttl > 0 && !partial && !named_template && (response.status === 200 || response.status === 404)) {
+    const cache_response = new Response(response.clone().body, response);
+    cache_response.headers.set("Cache-Control", `max-age=${cache_ttl}`);
+    event.waitUntil(cache.put(cache_request, cache_response));
+  }
+  return response;
+}
+
+//-    辅助方法      -//
+function handleOptions(request) {
+  if (request.headers.get("Origin") !== null &&
+    request.headers.get("Access-Control-Request-Method") !== null &&
+    request.headers.get("Access-Control-Request-Headers") !== null) {
+    // Handle CORS pre-flight request.
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Credentials": "true",
+        "Access-Control-Allow-Methods": "GET,HEAD,POST,OPTIONS",
+        "Access-Control-Allow-Headers": "Access-Control-Allow-Headers, Origin,Accept, X-Requested-With, Content-Type, Access-Control-Request-Method, Access-Control-Request-Headers, Authorization, X-API-Key"
+      }
+    })
+  } else {
+    // Handle standard OPTIONS request.
+    return new Response(null, {
+      headers: {
+        "Allow": "GET, HEAD, POST, OPTIONS",
+      }
+    })
+  }
+}
+
+// 聚合搜索的权限检查，任一站点不可访问即拒绝
+function checkAggregateScope(key, sources) {
+  if (sources.length === 0) {
+    return checkScope(key, "search") || makeError("forbidden", "This apikey is not allowed to search any site.");
+  }
+  for (const source of sources) {
+    const denied = checkScope(key, "search", source);
+    if (denied) {
+      return denied;
+    }
+  }
+  return null;
+}
+
+// 生成请求对应的 site 与 sid，可由 `&url=` 或 `&site=` 与 `&sid=` 给出
+function resolveTarget(uri) {
+  if (uri.searchParams.get("url")) {
+    return matchUrl(uri.searchParams.get("url")) || {};
+  }
+  return {site: uri.searchParams.get("site"), sid: uri.searchParams.get("sid")};
+}
+
+// Cache API 使用的请求，去除 refresh 与 apikey 字段，聚合搜索时 source 为实际搜索的站点列表
+function cacheRequest(request, uri, aggregate_sources = null) {
+  if (!uri.searchParams.has("refresh") && !uri.searchParams.has("apikey") && !aggregate_sources) {
+    return request;
+  }
+  const cache_uri = new URL(uri);
+  cache_uri.searchParams.delete("refresh");
+  cache_uri.searchParams.delete("apikey");
+  if (aggregate_sources) {
+    cache_uri.searchParams.set("source", aggregate_sources.join(","));
+  }
+  return new Request(cache_uri.toString(), request);
+}
+
+async function makeIndexResponse() {
+  return new Response(page, {
+    headers: {
+      'Content-Type': 'text/html'
+    },
+  });
+}
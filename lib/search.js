@@ -0,0 +1,237 @@
+import {makeError} from "./error";
+import {isAvailable, search} from "./provider";
+
+/**
+ * 搜索结果的筛选与分页
+ *  - year: 只保留该年份的结果，没有年份信息的结果会被过滤
+ *  - type: 只保留该类型的结果，可选值见 SEARCH_TYPES，各站点的 subtype 由 resultType() 归类
+ *  - page, limit: 分页，返回的结果带有 total、page、limit、has_more 字段，站点接口支持分页时请求对应的页
+ */
+export const SEARCH_TYPES = ["movie", "tv", "anime", "game", "book", "music"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 未指定 type 时 `all` 使用的站点，豆瓣读书、音乐与豆瓣电影使用同一搜索接口，不同时搜索
+const DEFAULT_ALL_SOURCES = ["douban", "imdb", "tmdb", "bangumi", "anilist", "steam", "musicbrainz"];
+
+// 指定 type 时 `all` 使用的站点，只包括 resultType() 可能归类为该类型的站点；mal 与 anilist 使用同一搜索接口，只使用 anilist
+const TYPE_SOURCES = {
+  movie: ["douban", "imdb", "tmdb"],
+  tv: ["douban", "imdb", "tmdb", "tvmaze"],
+  anime: ["bangumi", "anilist"],
+  game: ["steam", "indienova", "epic", "vndb", "imdb", "bangumi"],
+  book: ["douban_book", "bangumi", "anilist"],
+  music: ["douban_music", "musicbrainz", "discogs", "bangumi"]
+};
+
+// 只有一种类型的站点
+const site_types = {
+  douban_book: "book",
+  douban_music: "music",
+  steam: "game",
+  indienova: "game",
+  epic: "game",
+  gog: "game",
+  vndb: "game",
+  musicbrainz: "music",
+  discogs: "music",
+  tvmaze: "tv"
+};
+
+const bangumi_types = {"漫画/小说": "book", "动画/二次元番": "anime", "音乐": "music", "游戏": "game", "三次元番": "tv"};
+
+/**
+ * 将各站点搜索结果的 subtype 归类为 SEARCH_TYPES 中的类型，无法归类时返回 null
+ * @param {string} site
+ * @param {{subtype: string, link: string}} result
+ */
+export function resultType(site, result) {
+  const subtype = String(result.subtype || "");
+  if (site_types[site]) {
+    return site_types[site];
+  }
+  switch (site) {
+    case "douban":
+      return subtype === "tv" ? "tv" : "movie";
+    case "imdb":
+      if (/video ?game/i.test(subtype)) return "game";
+      return /^tv (series|mini[- ]series|episode)/i.test(subtype) ? "tv" : "movie";
+    case "tmdb":
+      return subtype === "剧集" ? "tv" : "movie";
+    case "bangumi":
+      return bangumi_types[subtype] || null;
+    case "anilist":
+    case "mal":
+      return /\/manga\//.test(result.link) ? "book" : "anime";
+  }
+  return null;
+}
+
+/**
+ * 设置 DISABLE_SEARCH 时返回 search_disabled 错误，否则返回 null
+ * 搜索接口及会用到搜索的接口（反查 lib/lookup.js、发布名匹配 lib/release.js）共用
+ * @return {{error: string, error_code: string}|null}
+ */
+export function checkSearchDisabled() {
+  return globalThis['DISABLE_SEARCH'] ? makeError("search_disabled", "this ptgen disallow search") : null;
+}
+
+/**
+ * 解析请求中的筛选与分页参数
+ * @param {URLSearchParams} params
+ * @return {{options: object}|{error: string, error_code: string}}
+ */
+export function parseSearchOptions(params) {
+  const year = params.get("year") || null;
+  const type = params.get("type") || null;
+  const page = params.get("page") || "1";
+  const limit = params.get("limit") || String(DEFAULT_LIMIT);
+
+  if (year !== null && !/^\d{4}$/.test(year)) {
+    return makeError("invalid_request", "Unknown value of key `year`.");
+  } else if (type !== null && !SEARCH_TYPES.includes(type)) {
+    return makeError("invalid_request", "Unknown value of key `type`, should be one of " + SEARCH_TYPES.map(t => "`" + t + "`").join(", ") + ".");
+  } else if (!/^[1-9]\d*$/.test(page)) {
+    return makeError("invalid_request", "Unknown value of key `page`.");
+  } else if (!/^[1-9]\d*$/.test(limit) || parseInt(limit) > MAX_LIMIT) {
+    return makeError("invalid_request", `Unknown value of key \`limit\`, should be between 1 and ${MAX_LIMIT}.`);
+  }
+  return {options: {year: year, type: type, page: parseInt(page), limit: parseInt(limit)}};
+}
+
+/**
+ * 对搜索结果进行筛选与分页，搜索失败时原样返回
+ *  - 站点接口已分页的结果（带有 paging 字段，见 lib/provider.js 的 search()）只在该页内筛选，total 与 has_more 使用接口给出的结果总数，
+ *    接口未能筛选的条件（year，或站点不支持的 type）会使该页的结果减少，此时 total 为 null
+ * @param {object} result search() 或 aggregateSearch() 的返回
+ * @param {{year: ?string, type: ?string, page: number, limit: number}} options 见 parseSearchOptions()
+ * @param {string} [site] 单站点搜索时的站点名，聚合搜索的结果自带 site 字段
+ */
+export function applySearchOptions(result, options, site) {
+  if (!Array.isArray(result.data)) {
+    return result;
+  }
+  const {year, type, page = 1, limit = DEFAULT_LIMIT} = options;
+  const data = result.data.filter(d =>
+    (year === null || year === undefined || String(d.year || "") === year) &&
+    (type === null || type === undefined || resultType(d.site || site, d) === type)
+  );
+  const start = (page - 1) * limit;
+
+  if (result.paging) {
+    const {paging, ...rest} = result;
+    const filtered = Boolean(year) || (Boolean(type) && type !== paging.type && site_types[site] !== type);
+    return Object.assign(rest, {
+      data: data,
+      total: filtered ? null : paging.total,
+      page: page,
+      limit: limit,
+      has_more: start + limit < paging.total
+    });
+  }
+
+  return Object.assign({}, result, {
+    data: data.slice(start, start + limit),
+    total: data.length,
+    page: page,
+    limit: limit,
+    has_more: start + limit < data.length
+  });
+}
+
+/**
+ * 聚合搜索，同时在多个站点中搜索
+ *  - source 为 `all` 时使用 DEFAULT_ALL_SOURCES，指定 type 时使用 TYPE_SOURCES 中该类型的站点，也可以是以逗号分隔的站点列表，如 `douban,imdb,bangumi`
+ *  - 各站点并行搜索，部分站点失败不影响其他站点的结果，失败原因见返回的 errors 字段
+ *  - 每个结果带有 site 字段；不同站点中标题（或副标题）与年份均相同的结果会合并为一项，各站点的链接见 links 字段
+ */
+
+// 是否为聚合搜索的 source
+export function isAggregateSource(source) {
+  return source === "all" || source.includes(",");
+}
+
+/**
+ * 解析聚合搜索的站点列表，`all` 不包括当前环境中不可用的站点（如缺少 TMDB_API_TOKEN 时的 tmdb）
+ * @param {string} source
+ * @param {?string} [type] 搜索的类型，只影响 `all`
+ */
+export function parseSources(source, type = null) {
+  if (source === "all") {
+    const sources = TYPE_SOURCES[type] || DEFAULT_ALL_SOURCES;
+    return sources.filter(s => isAvailable(s, "search"));
+  }
+  return [...new Set(source.split(",").map(s => s.trim()).filter(Boolean))];
+}
+
+// 用于比较的标题，忽略大小写、空白及标点，反查（lib/lookup.js）同样使用
+export function titleKey(title) {
+  return String(title || "").normalize("NFKC").toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+/**
+ * 合并不同站点中的重复结果，保留先出现的一项
+ * @param {Array<object>} results 带有 site 字段的搜索结果
+ */
+export function mergeResults(results) {
+  const merged = [];
+  const names = [];
+  for (const result of results) {
+    const keys = [result.title, result.subtitle].map(titleKey).filter(Boolean);
+    const year = String(result.year || "");
+    const index = year ? merged.findIndex((m, i) =>
+      String(m.year || "") === year &&
+      !m.links.some(l => l.site === result.site) && // 同一站点内的结果不合并
+      names[i].some(k => keys.includes(k))
+    ) : -1;
+
+    if (index === -1) {
+      merged.push(Object.assign({}, result, {links: [{site: result.site, link: result.link}]}));
+      names.push(keys);
+    } else {
+      merged[index].links.push({site: result.site, link: result.link});
+      names[index].push(...keys.filter(k => !names[index].includes(k)));
+    }
+  }
+  return merged;
+}
+
+/**
+ * 聚合搜索
+ * @param {Array<string>} sources 站点列表，见 parseSources()
+ * @param {string} keywords
+ * @param {object} options 传给 provider.search()，见 lib/cache.js 的 cached()
+ * @param {?string} [type] 搜索的类型，支持的站点会由接口筛选；各站点只取第一页，筛选与分页在合并后的结果上进行
+ */
+export async function aggregateSearch(sources, keywords, options = {}, type = null) {
+  const settled = await Promise.all(sources.map(async source => {
+    try {
+      return [source, await search(source, keywords, options, {type: type})];
+    } catch (e) {
+      // 单个站点失败不影响其他站点
+      return [source, makeError("internal_error", `Internal Error. Exception: ${e.message}`)];
+    }
+  }));
+
+  const results = [];
+  const errors = {};
+  for (const [source, result] of settled) {
+    if (Array.isArray(result.data)) {
+      results.push(...result.data.map(d => Object.assign({site: source}, d)));
+    } else {
+      errors[source] = {error: result.error, error_code: result.error_code};
+    }
+  }
+
+  // 所有站点均失败时返回第一个站点的错误
+  if (sources.length > 0 && Object.keys(errors).length === sources.length) {
+    const first = errors[sources[0]];
+    return Object.assign(makeError(first.error_code, first.error), {errors: errors});
+  }
+
+  return {
+    success: true,
+    data: mergeResults(results),
+    errors: errors
+  };
+}
@@ -1,4 +1,30 @@
 import {jsonp_parser, NONE_EXIST_ERROR, page_parser, html2bbcode} from "./common";
+import {makeError} from "./error";
+import {bbcode, image, image_list, render} from "./format";
+import {normalized, people} from "./normalize";
+
+// 搜索，使用商店页面搜索框所用的接口，该接口不返回发行日期
+export async function search_steam(query) {
+  let steam_search_resp = await fetch(`https://store.steampowered.com/api/storesearch/?term=${encodeURIComponent(query)}&l=schinese&cc=CN`);
+  if (steam_search_resp.status === 403) {
+    return makeError("upstream_blocked", "GenHelp was temporary banned by Steam Server, Please wait....");
+  } else if (!steam_search_resp.ok) {
+    return makeError("upstream_blocked", `Steam returned HTTP ${steam_search_resp.status}.`);
+  }
+
+  let steam_search_json = await steam_search_resp.json();
+  return {
+    data: (steam_search_json["items"] || []).map(d => {
+      return {
+        year: "",
+        subtype: d["type"] === "app" ? "游戏" : d["type"],
+        title: d["name"],
+        subtitle: "",
+        link: `https://store.steampowered.com/app/${d["id"]}/`
+      }
+    })
+  }
+}
 
 export async function gen_steam(sid) {
   let data = {
@@ -16,11 +42,11 @@ export async function gen_steam(sid) {
   // 不存在的资源会被302到首页，故检查标题
   if (steam_page_resp.status === 302) {
     return Object.assign(data, {
-      error: NONE_EXIST_ERROR
+      ...makeError("not_found", NONE_EXIST_ERROR)
     });
   } else if (steam_page_resp.status === 403) {
     return Object.assign(data, {
-      error: "GenHelp was temporary banned by Steam Server, Please wait...."
+      ...makeError("upstream_blocked", "GenHelp was temporary banned by Steam Server, Please wait....")
     });
   }
 
@@ -113,22 +139,64 @@ export async function gen_steam(sid) {
   let steamcn_api_json = jsonp_parser(steamcn_api_jsonp);
   if (steamcn_api_json["name_cn"]) data["name_chs"] = steamcn_api_json["name_cn"];
 
-  // 生成format
-  let descr = (data["poster"] && data["poster"].length > 0) ? `[img]${data["poster"]}[/img]\n\n` : "";
-  descr += "【基本信息】\n\n"; // 基本信息为原来的baseinfo块
-  descr += (data["name_chs"] && data["name_chs"].length > 0) ? `中文名: ${data["name_chs"]}\n` : "";
-  descr += (data["detail"] && data["detail"].length > 0) ? `${data["detail"]}\n` : "";
-  descr += (data["linkbar"] && data["linkbar"].length > 0) ? `官方网站: ${data["linkbar"]}\n` : "";
-  descr += (data["steam_id"] && data["steam_id"].length > 0) ? `Steam页面: https://store.steampowered.com/app/${data["steam_id"]}/\n` : "";
-  descr += (data["language"] && data["language"].length > 0) ? `游戏语种: ${data["language"].join(" | ")}\n` : "";
-  descr += (data["tags"] && data["tags"].length > 0) ? `标签: ${data["tags"].join(" | ")}\n` : "";
-  descr += (data["review"] && data["review"].length > 0) ? `\n${data["review"].join("\n")}\n` : "";
-  descr += "\n";
-  descr += (data["descr"] && data["descr"].length > 0) ? `【游戏简介】\n\n${data["descr"]}\n\n` : "";
-  descr += (data["sysreq"] && data["sysreq"].length > 0) ? `【配置需求】\n\n${data["sysreq"].join("\n")}\n\n` : "";
-  descr += (data["screenshot"] && data["screenshot"].length > 0) ? `【游戏截图】\n\n${data["screenshot"].map(x => `[img]${x}[/img]`).join("\n")}\n\n` : "";
-
-  data["format"] = descr.trim();
+  data["format"] = render(format_steam(data));
   data["success"] = true; // 更新状态为成功
   return data;
 }
+
+// 生成format
+export function format_steam(data) {
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    "【基本信息】\n\n", // 基本信息为原来的baseinfo块
+    (data["name_chs"] && data["name_chs"].length > 0) ? `中文名: ${data["name_chs"]}\n` : "",
+    (data["detail"] && data["detail"].length > 0) ? `${data["detail"]}\n` : "",
+    (data["linkbar"] && data["linkbar"].length > 0) ? `官方网站: ${data["linkbar"]}\n` : "",
+    (data["steam_id"] && data["steam_id"].length > 0) ? `Steam页面: https://store.steampowered.com/app/${data["steam_id"]}/\n` : "",
+    (data["language"] && data["language"].length > 0) ? `游戏语种: ${data["language"].join(" | ")}\n` : "",
+    (data["tags"] && data["tags"].length > 0) ? `标签: ${data["tags"].join(" | ")}\n` : "",
+    (data["review"] && data["review"].length > 0) ? `\n${data["review"].join("\n")}\n` : "",
+    "\n",
+    (data["descr"] && data["descr"].length > 0) ? ["【游戏简介】\n\n", bbcode(data["descr"]), "\n\n"] : "",
+    (data["sysreq"] && data["sysreq"].length > 0) ? `【配置需求】\n\n${data["sysreq"].join("\n")}\n\n` : "",
+    (data["screenshot"] && data["screenshot"].length > 0) ? ["【游戏截图】\n\n", image_list(data["screenshot"]), "\n\n"] : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_steam(data) {
+  const detail = {};
+  for (const line of (data["detail"] || "").split("\n")) {
+    const [key, ...value] = line.split(": ");
+    detail[key] = value.join(": ");
+  }
+  const split = text => (text || "").split(/,\s*/);
+  return normalized(data, {
+    type: "game",
+    link: `https://store.steampowered.com/app/${data["sid"]}/`,
+    titles: {
+      main: data["name_chs"] || data["name"],
+      original: data["name"]
+    },
+    release_date: detail["发行日期"],
+    genres: split(detail["类型"]),
+    tags: data["tags"],
+    languages: (data["language"] || []).map(l => l.replace(/\s*\(.+\)$/, "")),
+    description: data["descr"],
+    people: [...people(split(detail["开发者"]), "developer"), ...people(split(detail["发行商"]), "publisher")],
+    poster: data["poster"],
+    screenshots: data["screenshot"],
+    external_ids: {steam: data["steam_id"]}
+  });
+}
+
+export const provider = {
+  name: "steam",
+  patterns: [
+    /(?:https?:\/\/)?(?:store\.)?steam(?:powered|community)\.com\/app\/(\d+)\/?/
+  ],
+  search: search_steam,
+  gen: gen_steam,
+  format: format_steam,
+  normalize: normalize_steam
+};
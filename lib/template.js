@@ -0,0 +1,414 @@
+import {makeJsonRawResponse} from "./common";
+import {makeError, makeErrorResponse} from "./error";
+
+/**
+ * 自定义简介模板
+ * 语法与 Jinja 类似，模板中可以直接引用生成结果中的字段：
+ *  - {{ chinese_title }}、{{ cast.0.name }}：输出字段，数组默认使用 " / " 连接
+ *  - {{ cast | map("name") | limit(5) | join("\n") }}：使用过滤器处理字段
+ *  - {% if imdb_rating and not episodes %}...{% elif ... %}...{% else %}...{% endif %}：条件
+ *  - {% for actor in cast | limit(5) %}{{ loop.index }}. {{ actor.name }}{% else %}无{% endfor %}：循环
+ *  - {# 注释 #}
+ * 单独占一行的 {% %} 标签或注释不会在输出中留下空行
+ */
+
+/* global PT_GEN_STORE */
+
+const MAX_TEMPLATE_LENGTH = 20000; // 模板的最大长度
+// 渲染时的限制，避免嵌套循环或过滤器使一个很短的模板产生巨大的输出，超出时渲染失败（template_error）
+const MAX_OUTPUT_LENGTH = 200000; // 输出（及过滤器结果）的最大长度
+const MAX_LOOP_ITERATIONS = 10000; // 所有循环合计的最大次数
+const TEMPLATE_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+const filters = {
+  join: (v, sep = " / ") => joinLimited(toArray(v).map(x => stringify(x)), String(sep)),
+  limit: (v, n) => toArray(v).slice(0, n),
+  slice: (v, start, end) => (typeof v === "string" ? v : toArray(v)).slice(start, end),
+  map: (v, attr) => toArray(v).map(x => lookup(x, String(attr).split("."))),
+  first: v => toArray(v)[0],
+  last: v => toArray(v)[toArray(v).length - 1],
+  length: v => (typeof v === "string" ? v : toArray(v)).length,
+  default: (v, d = "") => isTruthy(v) ? v : d,
+  trim: v => stringify(v).trim(),
+  upper: v => stringify(v).toUpperCase(),
+  lower: v => stringify(v).toLowerCase(),
+  replace: (v, from, to = "") => joinLimited(stringify(v).split(String(from)), String(to)),
+  indent: (v, prefix = "　　") => joinLimited(stringify(v).split("\n"), "\n" + prefix)
+};
+
+function checkLength(length) {
+  if (length > MAX_OUTPUT_LENGTH) {
+    throw new Error(`Output is longer than ${MAX_OUTPUT_LENGTH} characters`);
+  }
+}
+
+// 连接前先计算结果长度，超出 MAX_OUTPUT_LENGTH 时抛出异常
+function joinLimited(parts, sep) {
+  checkLength(parts.reduce((sum, part) => sum + part.length, 0) + sep.length * (parts.length - 1));
+  return parts.join(sep);
+}
+
+function toArray(v) {
+  if (Array.isArray(v)) return v;
+  return v === undefined || v === null || v === "" ? [] : [v];
+}
+
+function isTruthy(v) {
+  return Array.isArray(v) ? v.length > 0 : Boolean(v);
+}
+
+function stringify(v) {
+  if (v === undefined || v === null) {
+    return "";
+  } else if (Array.isArray(v)) {
+    return v.map(x => stringify(x)).join(" / ");
+  } else if (typeof v === "object") {
+    return "name" in v ? stringify(v["name"]) : JSON.stringify(v);
+  }
+  return String(v);
+}
+
+function lookup(obj, path) {
+  const value = path.reduce((o, key) => (o === undefined || o === null) ? undefined : o[key], obj);
+  return typeof value === "function" ? undefined : value; // 不暴露原型链上的方法
+}
+
+//-    表达式解析      -//
+const TOKEN_PATTERN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_][\w]*(?:\.\w+)*)|(==|!=|>=|<=|[><|(),]))/y;
+
+function tokenize_expr(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+    const m = TOKEN_PATTERN.exec(source);
+    if (!m) {
+      throw new Error(`Unexpected character in expression \`${source}\``);
+    }
+    if (m[1] !== undefined) {
+      tokens.push({type: "literal", value: m[1].slice(1, -1).replace(/\\(.)/g, (_, c) => ({n: "\n", t: "\t"})[c] || c)});
+    } else if (m[2] !== undefined) {
+      tokens.push({type: "literal", value: Number(m[2])});
+    } else if (m[3] !== undefined) {
+      tokens.push(["and", "or", "not"].includes(m[3]) ? {type: "op", value: m[3]} : {type: "name", value: m[3]});
+    } else {
+      tokens.push({type: "op", value: m[4]});
+    }
+  }
+  return tokens;
+}
+
+function parse_expr(source) {
+  const tokens = tokenize_expr(source);
+  let pos = 0;
+  const peek = value => tokens[pos] && tokens[pos].type === "op" && tokens[pos].value === value;
+  const expect = value => {
+    if (!peek(value)) throw new Error(`Expect \`${value}\` in expression \`${source}\``);
+    pos++;
+  };
+
+  function parse_or() {
+    let node = parse_and();
+    while (peek("or")) {
+      pos++;
+      node = {type: "or", left: node, right: parse_and()};
+    }
+    return node;
+  }
+
+  function parse_and() {
+    let node = parse_not();
+    while (peek("and")) {
+      pos++;
+      node = {type: "and", left: node, right: parse_not()};
+    }
+    return node;
+  }
+
+  function parse_not() {
+    if (peek("not")) {
+      pos++;
+      return {type: "not", expr: parse_not()};
+    }
+    return parse_compare();
+  }
+
+  function parse_compare() {
+    let node = parse_filtered();
+    for (const op of ["==", "!=", ">=", "<=", ">", "<"]) {
+      if (peek(op)) {
+        pos++;
+        return {type: "compare", op: op, left: node, right: parse_filtered()};
+      }
+    }
+    return node;
+  }
+
+  function parse_filtered() {
+    let node = parse_primary();
+    while (peek("|")) {
+      pos++;
+      const name_token = tokens[pos++];
+      if (!name_token || name_token.type !== "name" || !Object.prototype.hasOwnProperty.call(filters, name_token.value)) {
+        throw new Error(`Unknown filter \`${name_token ? name_token.value : ""}\``);
+      }
+      const args = [];
+      if (peek("(")) {
+        pos++;
+        while (!peek(")")) {
+          args.push(parse_or());
+          if (!peek(")")) expect(",");
+        }
+        expect(")");
+      }
+      node = {type: "filter", name: name_token.value, expr: node, args: args};
+    }
+    return node;
+  }
+
+  function parse_primary() {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error(`Unexpected end of expression \`${source}\``);
+    } else if (token.type === "literal") {
+      return {type: "literal", value: token.value};
+    } else if (token.type === "name") {
+      return {type: "path", path: token.value.split(".")};
+    } else if (token.type === "op" && token.value === "(") {
+      const node = parse_or();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Unexpected \`${token.value}\` in expression \`${source}\``);
+  }
+
+  const node = parse_or();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected \`${tokens[pos].value}\` in expression \`${source}\``);
+  }
+  return node;
+}
+
+function eval_expr(node, scope) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "path":
+      return lookup(scope, node.path);
+    case "not":
+      return !isTruthy(eval_expr(node.expr, scope));
+    case "and":
+      return isTruthy(eval_expr(node.left, scope)) && isTruthy(eval_expr(node.right, scope));
+    case "or":
+      return isTruthy(eval_expr(node.left, scope)) || isTruthy(eval_expr(node.right, scope));
+    case "filter":
+      return filters[node.name](eval_expr(node.expr, scope), ...node.args.map(a => eval_expr(a, scope)));
+    case "compare": {
+      const left = eval_expr(node.left, scope), right = eval_expr(node.right, scope);
+      switch (node.op) {
+        case "==": return left == right;
+        case "!=": return left != right;
+        case ">=": return left >= right;
+        case "<=": return left <= right;
+        case ">": return left > right;
+        case "<": return left < right;
+      }
+    }
+  }
+}
+
+//-    模板解析      -//
+function parse_template(source) {
+  // 单独占一行的 {% %} 标签或注释，连同其所在行的缩进与换行一起移除
+  source = source.replace(/^[ \t]*({%[^\n]*?%}|{#[^\n]*?#})[ \t]*(\r?\n|$)/gm, "$1");
+
+  const root = [];
+  const stack = [{node: null, body: root}]; // body 为当前标签内正在填充的节点列表
+  const top = () => stack[stack.length - 1];
+
+  const pattern = /{{([\s\S]*?)}}|{%([\s\S]*?)%}|{#[\s\S]*?#}/g;
+  let last = 0, m;
+  while ((m = pattern.exec(source)) !== null) {
+    if (m.index > last) top().body.push({type: "text", value: source.slice(last, m.index)});
+    last = pattern.lastIndex;
+
+    if (m[1] !== undefined) {
+      top().body.push({type: "output", expr: parse_expr(m[1].trim())});
+    } else if (m[2] !== undefined) {
+      const tag = m[2].trim();
+      const [keyword] = tag.split(/\s+/, 1);
+      const rest = tag.slice(keyword.length).trim();
+      const node = top().node;
+
+      if (keyword === "if") {
+        const if_node = {type: "if", branches: [{cond: parse_expr(rest), body: []}], else_body: null};
+        top().body.push(if_node);
+        stack.push({node: if_node, body: if_node.branches[0].body});
+      } else if (keyword === "elif" && node && node.type === "if" && node.else_body === null) {
+        const branch = {cond: parse_expr(rest), body: []};
+        node.branches.push(branch);
+        top().body = branch.body;
+      } else if (keyword === "else" && node && node.else_body === null) {
+        node.else_body = [];
+        top().body = node.else_body;
+      } else if (keyword === "for") {
+        const for_match = rest.match(/^([A-Za-z_]\w*)\s+in\s+([\s\S]+)$/);
+        if (!for_match) throw new Error(`Invalid for tag \`${tag}\``);
+        const for_node = {type: "for", name: for_match[1], expr: parse_expr(for_match[2]), body: [], else_body: null};
+        top().body.push(for_node);
+        stack.push({node: for_node, body: for_node.body});
+      } else if (node && keyword === `end${node.type}`) {
+        stack.pop();
+      } else {
+        throw new Error(`Unexpected tag \`${tag}\``);
+      }
+    }
+  }
+  if (last < source.length) top().body.push({type: "text", value: source.slice(last)});
+  if (stack.length > 1) {
+    throw new Error(`Missing \`end${top().node.type}\` tag`);
+  }
+  return root;
+}
+
+// state 为整个模板共享的渲染状态 {iterations}，用于限制循环次数
+function render_nodes(nodes, scope, state) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "output") {
+      out += stringify(eval_expr(node.expr, scope));
+    } else if (node.type === "if") {
+      const branch = node.branches.find(b => isTruthy(eval_expr(b.cond, scope)));
+      if (branch) {
+        out += render_nodes(branch.body, scope, state);
+      } else if (node.else_body) {
+        out += render_nodes(node.else_body, scope, state);
+      }
+    } else if (node.type === "for") {
+      const items = toArray(eval_expr(node.expr, scope));
+      if (items.length === 0 && node.else_body) {
+        out += render_nodes(node.else_body, scope, state);
+      }
+      items.forEach((item, index) => {
+        if (++state.iterations > MAX_LOOP_ITERATIONS) {
+          throw new Error(`Loops run more than ${MAX_LOOP_ITERATIONS} times`);
+        }
+        const loop = {index: index + 1, index0: index, first: index === 0, last: index === items.length - 1, length: items.length};
+        out += render_nodes(node.body, Object.assign(Object.create(scope), {[node.name]: item, loop: loop}), state);
+        checkLength(out.length);
+      });
+    }
+    checkLength(out.length);
+  }
+  return out;
+}
+
+/**
+ * 检查模板语法，有误时抛出异常
+ * @param {string} source
+ */
+export function compileTemplate(source) {
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  return parse_template(source);
+}
+
+/**
+ * 使用生成结果渲染模板，输出过长或循环次数过多时抛出异常
+ * @param {string} source 模板
+ * @param {object} data 生成结果
+ * @return {string}
+ */
+export function renderTemplate(source, data) {
+  return render_nodes(compileTemplate(source), data, {iterations: 0}).trim();
+}
+
+//-    模板管理      -//
+function template_key(name) {
+  return `template-${name}`;
+}
+
+// 获取请求中使用的模板，`template` 为模板内容，`template_name` 为存储在 KV 中的模板名
+async function resolveTemplate({template, template_name}) {
+  if (template) {
+    return {source: template};
+  } else if (template_name) {
+    const source = globalThis['PT_GEN_STORE'] ? await PT_GEN_STORE.get(template_key(template_name)) : null;
+    return source === null ? {error: "Template `" + template_name + "` does not exist."} : {source: source};
+  }
+  return {};
+}
+
+/**
+ * 如果请求中指定了模板，则使用模板重新生成 `format`
+ * @param {object} data 生成结果
+ * @param {{template: (string|null), template_name: (string|null)}} params
+ * @return {Promise<object>}
+ */
+export async function applyTemplate(data, params) {
+  const {source, error} = await resolveTemplate(params);
+  if (error) {
+    return Object.assign({}, data, {success: false}, makeError("template_error", error));
+  } else if (source === undefined || !data.success) {
+    return data;
+  }
+
+  try {
+    return Object.assign({}, data, {format: renderTemplate(source, data)});
+  } catch (e) {
+    return Object.assign({}, data, {success: false}, makeError("template_error", `Template error: ${e.message}`));
+  }
+}
+
+/**
+ * 具名模板的管理接口，需要 admin 权限（由 lib/router.js 检查，见 lib/auth.js）
+ *  GET    /templates            列出所有模板名
+ *  GET    /templates?name=xxx   获取模板内容
+ *  PUT    /templates?name=xxx   以请求体作为模板内容保存（POST 亦可）
+ *  DELETE /templates?name=xxx   删除模板
+ * @param {{request: Request, waitUntil: function(Promise)}} event
+ */
+export async function handleTemplates(event) {
+  const request = event.request;
+  const uri = new URL(request.url);
+
+  if (!globalThis['PT_GEN_STORE']) {
+    return makeErrorResponse("storage_unavailable", "Named templates need the KV Storage `PT_GEN_STORE`.");
+  }
+
+  const name = uri.searchParams.get("name");
+  if (request.method === "GET" && !name) {
+    const list = await PT_GEN_STORE.list({prefix: template_key("")});
+    return makeJsonRawResponse({
+      success: true,
+      data: list.keys.map(k => k.name.slice(template_key("").length))
+    });
+  } else if (!name || !TEMPLATE_NAME_PATTERN.test(name)) {
+    return makeErrorResponse("invalid_request", "Miss or invalid key of `name`.");
+  }
+
+  if (request.method === "GET") {
+    const source = await PT_GEN_STORE.get(template_key(name));
+    if (source === null) {
+      return makeErrorResponse("not_found", "Template `" + name + "` does not exist.");
+    }
+    return makeJsonRawResponse({success: true, name: name, template: source});
+  } else if (request.method === "PUT" || request.method === "POST") {
+    const source = await request.text();
+    try {
+      compileTemplate(source);
+    } catch (e) {
+      return makeErrorResponse("template_error", `Template error: ${e.message}`);
+    }
+    await PT_GEN_STORE.put(template_key(name), source);
+    return makeJsonRawResponse({success: true, name: name});
+  } else if (request.method === "DELETE") {
+    await PT_GEN_STORE.delete(template_key(name));
+    return makeJsonRawResponse({success: true, name: name});
+  }
+
+  return makeErrorResponse("method_not_allowed", "Method not allowed.");
+}
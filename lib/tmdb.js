@@ -0,0 +1,243 @@
+import {NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {image, render} from "./format";
+import {normalized, people, rating} from "./normalize";
+
+/**
+ * TMDB，通过官方 API v3 获取电影与剧集信息
+ *  - 需要设置环境变量 `TMDB_API_TOKEN`，即 TMDB 账户设置中的 API Read Access Token（以 Bearer 方式传递，不会出现在链接中）
+ *  - 返回语言由 `TMDB_LANGUAGE` 设置，默认为 zh-CN
+ *  - sid 格式为 `movie/<id>` 或 `tv/<id>`
+ */
+
+/* global TMDB_API_TOKEN, TMDB_LANGUAGE */
+
+const TMDB_API = "https://api.themoviedb.org/3";
+const TMDB_IMAGE = "https://image.tmdb.org/t/p/original";
+const MEDIA_TYPES = {movie: "电影", tv: "剧集"};
+
+function tmdb_token_error() {
+  return makeError("not_configured", "TMDB needs the environment variable `TMDB_API_TOKEN`.");
+}
+
+async function tmdb_fetch(path, params) {
+  const url = new URL(`${TMDB_API}/${path}`);
+  url.searchParams.set("language", globalThis['TMDB_LANGUAGE'] || "zh-CN");
+  for (const [key, value] of Object.entries(params || {})) {
+    url.searchParams.set(key, value);
+  }
+  return fetch(url.toString(), {
+    headers: {
+      "Accept": "application/json",
+      "Authorization": `Bearer ${globalThis['TMDB_API_TOKEN']}`
+    }
+  });
+}
+
+// 请求被拒绝（令牌无效或请求过多）时的错误
+function tmdb_resp_error(resp) {
+  if (resp.status === 401) {
+    return makeError("upstream_blocked", "TMDB rejected the API token, please check `TMDB_API_TOKEN`.");
+  }
+  return makeError("upstream_blocked", `TMDB API returned HTTP ${resp.status}.`);
+}
+
+// 指定类型时使用 search/movie 或 search/tv，其结果中没有 media_type 字段
+export async function search_tmdb(query, {page = 1, type = null} = {}) {
+  if (!globalThis['TMDB_API_TOKEN']) {
+    return tmdb_token_error();
+  }
+
+  let tmdb_search_resp = await tmdb_fetch(`search/${type || "multi"}`, {query: query, page: page});
+  if (!tmdb_search_resp.ok) {
+    return tmdb_resp_error(tmdb_search_resp);
+  }
+
+  let tmdb_search_json = await tmdb_search_resp.json();
+  return {
+    total: tmdb_search_json["total_results"],
+    data: tmdb_search_json.results.map(d => Object.assign({media_type: type}, d)).filter(d => MEDIA_TYPES[d["media_type"]]).map(d => {
+      const is_movie = d["media_type"] === "movie";
+      return {
+        year: ((is_movie ? d["release_date"] : d["first_air_date"]) || "").slice(0, 4),
+        subtype: MEDIA_TYPES[d["media_type"]],
+        title: is_movie ? d["title"] : d["name"],
+        subtitle: is_movie ? d["original_title"] : d["original_name"],
+        link: `https://www.themoviedb.org/${d["media_type"]}/${d["id"]}`
+      }
+    })
+  }
+}
+
+export async function gen_tmdb(sid) {
+  let data = {
+    site: "tmdb",
+    sid: sid
+  };
+
+  if (!globalThis['TMDB_API_TOKEN']) {
+    return Object.assign(data, tmdb_token_error());
+  }
+
+  let sid_match = String(sid).match(/^(movie|tv)\/(\d+)$/);
+  if (!sid_match) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+  const [, media_type, tmdb_id] = sid_match;
+  const is_movie = media_type === "movie";
+
+  let tmdb_resp = await tmdb_fetch(`${media_type}/${tmdb_id}`, {append_to_response: "credits,external_ids,translations"});
+  if (tmdb_resp.status === 404) { // 当接口返回404时内容不存在
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  } else if (!tmdb_resp.ok) {
+    return Object.assign(data, tmdb_resp_error(tmdb_resp));
+  }
+
+  let tmdb_json = await tmdb_resp.json();
+
+  data["tmdb_id"] = tmdb_json["id"];
+  data["media_type"] = media_type;
+  data["tmdb_link"] = `https://www.themoviedb.org/${media_type}/${tmdb_id}`;
+
+  // 标题，电影与剧集的字段名不同
+  data["title"] = is_movie ? tmdb_json["title"] : tmdb_json["name"];
+  data["original_title"] = is_movie ? tmdb_json["original_title"] : tmdb_json["original_name"];
+
+  // 各语言的标题，键名如 zh-CN、en-US
+  data["localized_titles"] = {};
+  for (const t of (tmdb_json["translations"] || {})["translations"] || []) {
+    const title = t["data"][is_movie ? "title" : "name"];
+    if (title) {
+      data["localized_titles"][`${t["iso_639_1"]}-${t["iso_3166_1"]}`] = title;
+    }
+  }
+
+  // 中文译名（当前语言的标题及各地区的中文标题），不包括原名
+  data["trans_title"] = [data["title"], ...Object.entries(data["localized_titles"]).filter(([k]) => k.startsWith("zh-")).map(([, v]) => v)]
+    .filter((title, index, list) => title && title !== data["original_title"] && list.indexOf(title) === index);
+  data["this_title"] = [data["original_title"]];
+
+  data["release_date"] = (is_movie ? tmdb_json["release_date"] : tmdb_json["first_air_date"]) || "";
+  data["year"] = data["release_date"].slice(0, 4);
+  data["region"] = (tmdb_json["production_countries"] || []).map(c => c["name"]);
+  data["genre"] = (tmdb_json["genres"] || []).map(g => g["name"]);
+  data["language"] = (tmdb_json["spoken_languages"] || []).map(l => l["english_name"] || l["name"]);
+
+  // 片长（分钟），剧集为单集片长
+  data["runtime"] = is_movie ? (tmdb_json["runtime"] || null) : ((tmdb_json["episode_run_time"] || [])[0] || null);
+  if (!is_movie) {
+    data["seasons"] = tmdb_json["number_of_seasons"];
+    data["episodes"] = tmdb_json["number_of_episodes"];
+  }
+
+  data["tagline"] = tmdb_json["tagline"] || "";
+  data["introduction"] = tmdb_json["overview"] || "";
+  data["poster"] = tmdb_json["poster_path"] ? TMDB_IMAGE + tmdb_json["poster_path"] : "";
+  data["backdrop"] = tmdb_json["backdrop_path"] ? TMDB_IMAGE + tmdb_json["backdrop_path"] : "";
+
+  // 评分信息
+  data["tmdb_rating_average"] = tmdb_json["vote_average"] || 0;
+  data["tmdb_votes"] = tmdb_json["vote_count"] || 0;
+  data["tmdb_rating"] = data["tmdb_votes"] > 0 ? `${data["tmdb_rating_average"].toFixed(1)}/10 from ${data["tmdb_votes"]} users` : "";
+
+  // 外部链接
+  const external_ids = tmdb_json["external_ids"] || {};
+  data["imdb_id"] = external_ids["imdb_id"] || "";
+  data["imdb_link"] = data["imdb_id"] ? `https://www.imdb.com/title/${data["imdb_id"]}/` : "";
+  data["tvdb_id"] = external_ids["tvdb_id"] || null;
+
+  // 演职员
+  const credits = tmdb_json["credits"] || {};
+  const crew = credits["crew"] || [];
+  const person = p => ({name: p["name"], tmdb_id: p["id"]});
+  const unique = list => list.filter((p, index) => list.findIndex(x => x.tmdb_id === p.tmdb_id) === index);
+  data["director"] = unique(crew.filter(p => p["job"] === "Director").map(person));
+  data["writer"] = unique(crew.filter(p => p["department"] === "Writing").map(person));
+  data["creator"] = (tmdb_json["created_by"] || []).map(person);
+  data["cast"] = (credits["cast"] || []).map(p => Object.assign(person(p), {character: p["character"] || ""}));
+
+  data["format"] = render(format_tmdb(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format
+export function format_tmdb(data) {
+  const {poster, year, genre, release_date, tmdb_rating, tmdb_link, imdb_link, seasons, episodes, runtime} = data;
+  const {director, writer, creator, cast, tagline, introduction} = data;
+  const trans_title = (data["trans_title"] || []).join("/");
+  const this_title = (data["this_title"] || []).join("/");
+  const region = (data["region"] || []).join(" / ");
+  const language = (data["language"] || []).join(" / ");
+
+  return [
+    poster ? [image(poster), "\n\n"] : "",
+    trans_title ? `◎译　　名　${trans_title}\n` : "",
+    this_title ? `◎片　　名　${this_title}\n` : "",
+    year ? `◎年　　代　${year}\n` : "",
+    region ? `◎产　　地　${region}\n` : "",
+    genre && genre.length > 0 ? `◎类　　别　${genre.join(" / ")}\n` : "",
+    language ? `◎语　　言　${language}\n` : "",
+    release_date ? `◎${data["media_type"] === "tv" ? "首播日期" : "上映日期"}　${release_date}\n` : "",
+    tmdb_rating ? `◎TMDB评分  ${tmdb_rating}\n` : "",
+    tmdb_link ? `◎TMDB链接  ${tmdb_link}\n` : "",
+    imdb_link ? `◎IMDb链接  ${imdb_link}\n` : "",
+    seasons ? `◎季　　数　${seasons}\n` : "",
+    episodes ? `◎集　　数　${episodes}\n` : "",
+    runtime ? `◎片　　长　${runtime} 分钟\n` : "",
+    creator && creator.length > 0 ? `◎主　　创　${creator.map(x => x['name']).join(" / ")}\n` : "",
+    director && director.length > 0 ? `◎导　　演　${director.map(x => x['name']).join(" / ")}\n` : "",
+    writer && writer.length > 0 ? `◎编　　剧　${writer.map(x => x['name']).join(" / ")}\n` : "",
+    // 读取前15位演员
+    cast && cast.length > 0 ? `◎主　　演　${cast.slice(0, 15).map(x => x['name']).join("\n" + "　".repeat(4) + "  　").trim()}\n` : "",
+    tagline ? `\n◎标　　语　${tagline}\n` : "",
+    introduction ? `\n◎简　　介\n\n　　${introduction.replace(/\n/g, "\n" + "　".repeat(2))}\n` : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_tmdb(data) {
+  return normalized(data, {
+    type: data["media_type"],
+    link: data["tmdb_link"],
+    titles: {
+      main: data["title"],
+      original: data["original_title"],
+      localized: data["trans_title"],
+      aliases: Object.values(data["localized_titles"] || {})
+    },
+    release_date: data["release_date"],
+    genres: data["genre"],
+    languages: data["language"],
+    regions: data["region"],
+    runtime: data["runtime"],
+    description: data["introduction"],
+    people: [
+      ...people(data["director"], "director"),
+      ...people(data["writer"], "writer"),
+      ...people(data["creator"], "creator"),
+      ...people(data["cast"], "actor")
+    ],
+    ratings: [rating("tmdb", data["tmdb_rating_average"], 10, data["tmdb_votes"])],
+    poster: data["poster"],
+    backdrop: data["backdrop"],
+    external_ids: {tmdb: data["sid"], imdb: data["imdb_id"], tvdb: data["tvdb_id"]}
+  });
+}
+
+export const provider = {
+  name: "tmdb",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?themoviedb\.org\/((?:movie|tv)\/\d+)/
+  ],
+  search: search_tmdb,
+  search_paging: {size: 20, types: Object.keys(MEDIA_TYPES)}, // 接口每页固定 20 条
+  gen: gen_tmdb,
+  format: format_tmdb,
+  normalize: normalize_tmdb,
+  available: () => Boolean(globalThis['TMDB_API_TOKEN'])
+};
@@ -0,0 +1,188 @@
+import {html2bbcode, NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {bbcode, image, render, table} from "./format";
+import {normalized, rating} from "./normalize";
+
+/**
+ * TVmaze，通过官方 API 获取剧集及其完整的分集信息
+ *  - sid 为 TVmaze 的剧集 id，也可以是 IMDb id（如 `tt0944947`），此时先通过 lookup 接口找到对应剧集
+ *  - 简介默认包含所有分集，请求时加上 `&season=2` 则只包含该季的分集
+ */
+
+const TVMAZE_API = "https://api.tvmaze.com";
+
+function tvmaze_resp_error(resp) {
+  if (resp.status === 404) {
+    return makeError("not_found", NONE_EXIST_ERROR);
+  } else if (resp.status === 429) {
+    return makeError("upstream_blocked", "GenHelp was temporary throttled by TVmaze, Please wait....");
+  }
+  return makeError("upstream_blocked", `TVmaze API returned HTTP ${resp.status}.`);
+}
+
+// 分集编号，如 S01E02，特别篇没有集数
+function episode_code(episode) {
+  const season = `S${String(episode.season).padStart(2, "0")}`;
+  return episode.number ? `${season}E${String(episode.number).padStart(2, "0")}` : `${season} Special`;
+}
+
+export async function search_tvmaze(query) {
+  let tvmaze_search_resp = await fetch(`${TVMAZE_API}/search/shows?q=${encodeURIComponent(query)}`);
+  if (!tvmaze_search_resp.ok) {
+    return tvmaze_resp_error(tvmaze_search_resp);
+  }
+
+  let tvmaze_search_json = await tvmaze_search_resp.json();
+  return {
+    data: tvmaze_search_json.map(({show}) => {
+      return {
+        year: (show["premiered"] || "").slice(0, 4),
+        subtype: show["type"] || "",
+        title: show["name"],
+        subtitle: show["network"] ? show["network"]["name"] : (show["webChannel"] ? show["webChannel"]["name"] : ""),
+        link: show["url"]
+      }
+    })
+  }
+}
+
+export async function gen_tvmaze(sid) {
+  let data = {
+    site: "tvmaze",
+    sid: sid
+  };
+
+  let show_id = sid;
+  if (/^tt\d+$/.test(sid)) {
+    // 由 IMDb id 找到对应剧集
+    let tvmaze_lookup_resp = await fetch(`${TVMAZE_API}/lookup/shows?imdb=${sid}`);
+    if (!tvmaze_lookup_resp.ok) {
+      return Object.assign(data, tvmaze_resp_error(tvmaze_lookup_resp));
+    }
+    show_id = String((await tvmaze_lookup_resp.json())["id"]);
+  } else if (!/^\d+$/.test(sid)) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+
+  let tvmaze_resp = await fetch(`${TVMAZE_API}/shows/${show_id}?embed[]=seasons&embed[]=episodes`);
+  if (!tvmaze_resp.ok) {
+    return Object.assign(data, tvmaze_resp_error(tvmaze_resp));
+  }
+  let show = await tvmaze_resp.json();
+  let embedded = show["_embedded"] || {};
+
+  data["tvmaze_id"] = show["id"];
+  data["tvmaze_link"] = show["url"];
+  data["name"] = show["name"];
+  data["type"] = show["type"] || "";
+  data["language"] = show["language"] || "";
+  data["genres"] = show["genres"] || [];
+  data["status"] = show["status"] || "";
+  data["runtime"] = show["runtime"] || show["averageRuntime"] || null;
+  data["premiered"] = show["premiered"] || "";
+  data["ended"] = show["ended"] || "";
+  data["official_site"] = show["officialSite"] || "";
+
+  // 播出平台，电视台或网络平台
+  let channel = show["network"] || show["webChannel"];
+  data["network"] = channel ? channel["name"] + (channel["country"] ? ` (${channel["country"]["name"]})` : "") : "";
+  data["schedule"] = show["schedule"] && show["schedule"]["days"].length > 0
+    ? `${show["schedule"]["days"].join(", ")}${show["schedule"]["time"] ? " at " + show["schedule"]["time"] : ""}`
+    : "";
+
+  data["tvmaze_rating_average"] = show["rating"] ? show["rating"]["average"] : null;
+  data["imdb_id"] = show["externals"] ? show["externals"]["imdb"] || "" : "";
+  data["imdb_link"] = data["imdb_id"] ? `https://www.imdb.com/title/${data["imdb_id"]}/` : "";
+  data["thetvdb_id"] = show["externals"] ? show["externals"]["thetvdb"] || null : null;
+
+  data["poster"] = show["image"] ? show["image"]["original"] : "";
+  data["summary"] = show["summary"] ? html2bbcode(show["summary"]).trim() : "";
+
+  data["seasons"] = (embedded["seasons"] || []).map(s => ({
+    number: s["number"],
+    name: s["name"] || "",
+    episode_order: s["episodeOrder"] || null,
+    premiere_date: s["premiereDate"] || "",
+    end_date: s["endDate"] || ""
+  }));
+  data["episodes"] = (embedded["episodes"] || []).map(e => ({
+    season: e["season"],
+    number: e["number"],
+    name: e["name"],
+    airdate: e["airdate"] || "",
+    runtime: e["runtime"] || null
+  }));
+
+  data["format"] = render(format_tvmaze(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+/**
+ * 生成format
+ * @param {object} data
+ * @param {{season: (string|undefined)}} [options] season 为季数时只包含该季的分集
+ */
+export function format_tvmaze(data, options = {}) {
+  const season = options.season ? parseInt(options.season) : null;
+  const seasons = (data["seasons"] || []).map(s => {
+    const range = [s.premiere_date, s.end_date].filter(Boolean).join(" ~ ");
+    return `Season ${s.number}${s.episode_order ? ` (${s.episode_order} episodes)` : ""}${range ? `: ${range}` : ""}`;
+  });
+  const episodes = (data["episodes"] || []).filter(e => season === null || e.season === season);
+
+  const rows = [["#", "Title", "Air Date", "Runtime"]];
+  for (const episode of episodes) {
+    rows.push([episode_code(episode), episode.name, episode.airdate, episode.runtime ? `${episode.runtime} min` : ""]);
+  }
+
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    (data["name"] && data["name"].length > 0) ? `Title: ${data["name"]}\n` : "",
+    (data["type"] && data["type"].length > 0) ? `Type: ${data["type"]}\n` : "",
+    (data["genres"] && data["genres"].length > 0) ? `Genres: ${data["genres"].join(", ")}\n` : "",
+    (data["language"] && data["language"].length > 0) ? `Language: ${data["language"]}\n` : "",
+    (data["network"] && data["network"].length > 0) ? `Network: ${data["network"]}\n` : "",
+    (data["schedule"] && data["schedule"].length > 0) ? `Schedule: ${data["schedule"]}\n` : "",
+    (data["status"] && data["status"].length > 0) ? `Status: ${data["status"]}\n` : "",
+    (data["premiered"] && data["premiered"].length > 0) ? `Premiered: ${data["premiered"]}\n` : "",
+    (data["ended"] && data["ended"].length > 0) ? `Ended: ${data["ended"]}\n` : "",
+    data["runtime"] ? `Runtime: ${data["runtime"]} min\n` : "",
+    data["tvmaze_rating_average"] ? `TVmaze Rating: ${data["tvmaze_rating_average"]}/10\n` : "",
+    (data["tvmaze_link"] && data["tvmaze_link"].length > 0) ? `TVmaze Link: ${data["tvmaze_link"]}\n` : "",
+    (data["imdb_link"] && data["imdb_link"].length > 0) ? `IMDb Link: ${data["imdb_link"]}\n` : "",
+    (data["summary"] && data["summary"].length > 0) ? ["\nSummary\n\n", bbcode(data["summary"]), "\n"] : "",
+    seasons.length > 0 ? `\nSeasons\n\n${seasons.join("\n")}\n` : "",
+    episodes.length > 0 ? [`\n${season === null ? "Episodes" : `Season ${season} Episodes`}\n\n`, table(rows), "\n"] : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_tvmaze(data) {
+  return normalized(data, {
+    type: "tv",
+    link: data["tvmaze_link"],
+    titles: {main: data["name"]},
+    release_date: data["premiered"],
+    genres: data["genres"],
+    languages: [data["language"]],
+    runtime: data["runtime"],
+    description: data["summary"],
+    ratings: [rating("tvmaze", data["tvmaze_rating_average"], 10)],
+    poster: data["poster"],
+    external_ids: {tvmaze: data["tvmaze_id"], imdb: data["imdb_id"], tvdb: data["thetvdb_id"]}
+  });
+}
+
+export const provider = {
+  name: "tvmaze",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?tvmaze\.com\/shows\/(\d+)/
+  ],
+  search: search_tvmaze,
+  gen: gen_tvmaze,
+  format: format_tvmaze,
+  normalize: normalize_tvmaze
+};
@@ -0,0 +1,249 @@
+import {NONE_EXIST_ERROR} from "./common";
+import {makeError} from "./error";
+import {bbcode, bold, image, image_list, render} from "./format";
+import {normalized, people, rating} from "./normalize";
+
+/**
+ * VNDB，通过 VNDB 的 HTTP API (Kana) 获取视觉小说信息
+ *  - sid 为 `v` 开头的 id，如 `v17`
+ *  - 含剧透的标签、描述中的 [spoiler] 块以及含有色情或暴力内容的截图不会出现在简介中
+ */
+
+const VNDB_API = "https://api.vndb.org/kana";
+
+const VN_FIELDS = [
+  "title", "alttitle", "olang", "released", "languages", "platforms", "length", "length_minutes", "rating", "votecount",
+  "description", "image.url", "titles.title", "titles.latin", "titles.lang", "titles.main",
+  "developers.name", "developers.original", "tags.name", "tags.rating", "tags.spoiler", "tags.category",
+  "screenshots.url", "screenshots.sexual", "screenshots.violence"
+].join(", ");
+
+const RELEASE_FIELDS = [
+  "title", "released", "platforms", "languages.lang", "languages.mtl", "official", "patch", "producers.name", "producers.publisher"
+].join(", ");
+
+const length_dict = {
+  1: "Very short (< 2 hours)",
+  2: "Short (2 - 10 hours)",
+  3: "Medium (10 - 30 hours)",
+  4: "Long (30 - 50 hours)",
+  5: "Very long (> 50 hours)"
+};
+
+async function vndb_fetch(endpoint, body) {
+  return fetch(`${VNDB_API}/${endpoint}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept": "application/json"
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+function vndb_resp_error(resp) {
+  if (resp.status === 429) {
+    return makeError("upstream_blocked", "GenHelp was temporary throttled by VNDB, Please wait....");
+  }
+  return makeError("upstream_blocked", `VNDB API returned HTTP ${resp.status}.`);
+}
+
+/**
+ * 将 VNDB 描述中的标记转换为 BBCode
+ * VNDB 使用的本就是 BBCode 的子集，只需去掉剧透、[raw] 标签并补全站内链接
+ */
+export function vndb_markup(text) {
+  return (text || "")
+    .replace(/\[spoiler][\s\S]*?\[\/spoiler]/gi, "")
+    .replace(/\[\/?raw]/gi, "")
+    .replace(/\[url=\//gi, "[url=https://vndb.org/")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export async function search_vndb(query) {
+  let vndb_search_resp = await vndb_fetch("vn", {
+    filters: ["search", "=", query],
+    fields: "title, alttitle, released",
+    sort: "searchrank",
+    results: 20
+  });
+  if (!vndb_search_resp.ok) {
+    return vndb_resp_error(vndb_search_resp);
+  }
+
+  let vndb_search_json = await vndb_search_resp.json();
+  return {
+    data: vndb_search_json["results"].map(d => {
+      return {
+        year: (d["released"] || "").slice(0, 4),
+        subtype: "Visual Novel",
+        title: d["title"],
+        subtitle: d["alttitle"] || d["title"],
+        link: `https://vndb.org/${d["id"]}`
+      }
+    })
+  }
+}
+
+export async function gen_vndb(sid) {
+  let data = {
+    site: "vndb",
+    sid: sid
+  };
+
+  let id_match = String(sid).match(/^v?(\d+)$/);
+  if (!id_match) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+  const vndb_id = `v${id_match[1]}`;
+
+  // 同时请求作品与发行版本信息
+  let vndb_release_req = vndb_fetch("release", {
+    filters: ["vn", "=", ["id", "=", vndb_id]],
+    fields: RELEASE_FIELDS,
+    sort: "released",
+    results: 50
+  });
+  let vndb_vn_resp = await vndb_fetch("vn", {filters: ["id", "=", vndb_id], fields: VN_FIELDS});
+  if (!vndb_vn_resp.ok) {
+    return Object.assign(data, vndb_resp_error(vndb_vn_resp));
+  }
+
+  let vn = (await vndb_vn_resp.json())["results"][0];
+  if (!vn) {
+    return Object.assign(data, {
+      ...makeError("not_found", NONE_EXIST_ERROR)
+    });
+  }
+
+  data["vndb_id"] = vn["id"];
+  data["vndb_link"] = `https://vndb.org/${vn["id"]}`;
+
+  // 标题，title 一般为罗马音，原文标题为原语言的主标题
+  const original = (vn["titles"] || []).find(t => t["lang"] === vn["olang"]) || {};
+  data["title"] = vn["title"];
+  data["original_title"] = original["title"] || vn["alttitle"] || vn["title"];
+  data["romanized_title"] = original["latin"] || vn["title"];
+  data["titles"] = (vn["titles"] || []).map(t => ({lang: t["lang"], title: t["title"], latin: t["latin"] || ""}));
+
+  data["developers"] = (vn["developers"] || []).map(d => d["original"] ? `${d["name"]} (${d["original"]})` : d["name"]);
+  data["released"] = vn["released"] || "";
+  data["original_language"] = vn["olang"] || "";
+  data["languages"] = vn["languages"] || [];
+  data["platforms"] = vn["platforms"] || [];
+  data["length"] = length_dict[vn["length"]] || "";
+  data["length_minutes"] = vn["length_minutes"] || null;
+
+  // 评分信息，VNDB 的评分范围为 10 - 100
+  data["vndb_rating_average"] = vn["rating"] ? (vn["rating"] / 10).toFixed(2) : 0;
+  data["vndb_votes"] = vn["votecount"] || 0;
+  data["vndb_rating"] = vn["rating"] ? `${data["vndb_rating_average"]}/10 from ${data["vndb_votes"]} users` : "";
+
+  // 标签，去掉含剧透的标签，按相关度排序
+  data["tags"] = (vn["tags"] || [])
+    .filter(t => t["spoiler"] === 0)
+    .sort((a, b) => b["rating"] - a["rating"])
+    .map(t => t["name"]);
+
+  data["poster"] = vn["image"] ? vn["image"]["url"] : "";
+  data["description"] = vndb_markup(vn["description"]);
+
+  // 截图，只保留没有色情与暴力内容的截图（VNDB 中 sexual、violence 为投票平均值，0 为安全）
+  data["screenshot"] = (vn["screenshots"] || [])
+    .filter(s => s["sexual"] < 1 && s["violence"] < 1)
+    .map(s => s["url"]);
+
+  // 发行版本
+  let vndb_release_resp = await vndb_release_req;
+  let releases = vndb_release_resp.ok ? (await vndb_release_resp.json())["results"] : [];
+  data["releases"] = releases.map(r => ({
+    title: r["title"],
+    released: r["released"] || "",
+    platforms: r["platforms"] || [],
+    languages: (r["languages"] || []).map(l => l["mtl"] ? `${l["lang"]} (MTL)` : l["lang"]),
+    publishers: (r["producers"] || []).filter(p => p["publisher"]).map(p => p["name"]),
+    official: r["official"],
+    patch: r["patch"]
+  }));
+
+  data["format"] = render(format_vndb(data));
+  data["success"] = true; // 更新状态为成功
+  return data;
+}
+
+// 生成format，风格与 bangumi 相同
+export function format_vndb(data) {
+  const length = data["length_minutes"]
+    ? `${Math.floor(data["length_minutes"] / 60)}h${String(data["length_minutes"] % 60).padStart(2, "0")}m`
+    : data["length"];
+  const info = [
+    data["original_title"] ? `Title: ${data["original_title"]}` : "",
+    data["romanized_title"] && data["romanized_title"] !== data["original_title"] ? `Romanized: ${data["romanized_title"]}` : "",
+    data["developers"] && data["developers"].length > 0 ? `Developer: ${data["developers"].join(", ")}` : "",
+    data["released"] ? `Released: ${data["released"]}` : "",
+    data["languages"] && data["languages"].length > 0 ? `Languages: ${data["languages"].join(", ")}` : "",
+    data["platforms"] && data["platforms"].length > 0 ? `Platforms: ${data["platforms"].join(", ")}` : "",
+    length ? `Length: ${length}` : "",
+    data["vndb_rating"] ? `Rating: ${data["vndb_rating"]}` : "",
+    // 读取前15个标签
+    data["tags"] && data["tags"].length > 0 ? `Tags: ${data["tags"].slice(0, 15).join(", ")}` : ""
+  ].filter(Boolean);
+
+  const releases = (data["releases"] || []).map(r => {
+    const flags = [r.patch ? "Patch" : "", r.official === false ? "Unofficial" : ""].filter(Boolean);
+    return [
+      r.released || "TBA",
+      r.platforms.join(", "),
+      r.languages.join(", "),
+      r.title + (flags.length > 0 ? ` [${flags.join(", ")}]` : ""),
+      r.publishers.length > 0 ? `(${r.publishers.join(", ")})` : ""
+    ].filter(Boolean).join(" | ");
+  });
+
+  return [
+    (data["poster"] && data["poster"].length > 0) ? [image(data["poster"]), "\n\n"] : "",
+    info.length > 0 ? [bold("Information: "), `\n\n${info.join("\n")}\n\n`] : "",
+    (data["description"] && data["description"].length > 0) ? [bold("Description: "), "\n\n", bbcode(data["description"]), "\n\n"] : "",
+    releases.length > 0 ? [bold("Releases: "), `\n\n${releases.join("\n")}\n\n`] : "",
+    (data["screenshot"] && data["screenshot"].length > 0) ? [bold("Screenshots: "), "\n\n", image_list(data["screenshot"]), "\n\n"] : "",
+    (data["vndb_link"] && data["vndb_link"].length > 0) ? `(来源于 ${data["vndb_link"]} )\n` : ""
+  ];
+}
+
+// 统一结构，见 lib/normalize.js
+export function normalize_vndb(data) {
+  return normalized(data, {
+    type: "game",
+    link: data["vndb_link"],
+    titles: {
+      main: data["title"],
+      original: data["original_title"],
+      localized: (data["titles"] || []).map(t => t.title),
+      aliases: [data["romanized_title"]]
+    },
+    release_date: data["released"],
+    tags: data["tags"],
+    languages: data["languages"],
+    runtime: data["length_minutes"],
+    description: data["description"],
+    people: people(data["developers"], "developer"),
+    ratings: [rating("vndb", data["vndb_rating_average"], 10, data["vndb_votes"])],
+    poster: data["poster"],
+    screenshots: data["screenshot"],
+    external_ids: {vndb: data["vndb_id"]}
+  });
+}
+
+export const provider = {
+  name: "vndb",
+  patterns: [
+    /(?:https?:\/\/)?(?:www\.)?vndb\.org\/(v\d+)/
+  ],
+  search: search_vndb,
+  gen: gen_vndb,
+  format: format_vndb,
+  normalize: normalize_vndb
+};
@@ -0,0 +1,35 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_anilist, gen_mal, search_anilist, search_mal} from "../lib/anilist";
+
+describe("anilist", () => {
+  test("gen", async () => {
+    const data = await withFixtures("anilist/anime-1", () => gen_anilist("anime/1"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/anilist.anime-1.txt");
+  });
+
+  test("gen from myanimelist id", async () => {
+    const data = await withFixtures("anilist/mal-anime-1", () => gen_mal("anime/1"));
+    expect(data.success).toBe(true);
+    expect(data.site).toBe("mal");
+    expect(data.format).toContain("https://myanimelist.net/anime/1");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("anilist/not_found", () => gen_anilist("anime/0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("anilist/search", () => search_anilist("Cowboy Bebop"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("search myanimelist", async () => {
+    const data = await withFixtures("anilist/search", () => search_mal("Cowboy Bebop"));
+    expect(data.data.map(d => d.link)).toEqual(["https://myanimelist.net/anime/1", "https://myanimelist.net/anime/5"]);
+  });
+});
@@ -0,0 +1,90 @@
+import {afterEach, beforeEach, describe, expect, test} from "vitest";
+import {memoryStore} from "./harness";
+import {authenticate, checkScope, consumeQuota, handleApiKeys} from "../lib/auth";
+
+function request(path, init = {}) {
+  return new Request(`http://localhost${path}`, init);
+}
+
+async function call_api_keys(path, init = {}) {
+  const response = await handleApiKeys({request: request(path, init)});
+  return {status: response.status, body: await response.json()};
+}
+
+async function create_key(options) {
+  const {body} = await call_api_keys("/apikeys", {method: "POST", body: JSON.stringify(options)});
+  return body;
+}
+
+async function auth(path, init) {
+  return authenticate(request(path, init), new URL(`http://localhost${path}`));
+}
+
+describe("auth", () => {
+  beforeEach(() => {
+    globalThis.PT_GEN_STORE = memoryStore();
+  });
+
+  afterEach(() => {
+    delete globalThis.PT_GEN_STORE;
+    delete globalThis.APIKEY;
+  });
+
+  test("anonymous requests are allowed when APIKEY is not set", async () => {
+    const {key} = await auth("/?site=douban&sid=1");
+    expect(key.id).toBe(null);
+    expect(checkScope(key, "generate", "douban")).toBe(null);
+    expect(checkScope(key, "admin").error_code).toBe("auth_required");
+  });
+
+  test("APIKEY is required and grants every scope", async () => {
+    globalThis.APIKEY = "master";
+    expect((await auth("/?site=douban&sid=1")).error.error_code).toBe("auth_required");
+    expect((await auth("/?apikey=wrong")).error.error_code).toBe("auth_required");
+
+    const {key} = await auth("/", {headers: {"Authorization": "Bearer master"}});
+    expect(key.id).toBe("master");
+    expect(checkScope(key, "admin")).toBe(null);
+  });
+
+  test("stored keys are limited to their scopes and sites", async () => {
+    globalThis.APIKEY = "master";
+    const created = await create_key({label: "script", scopes: ["generate"], sites: ["imdb"]});
+    expect(created.key).toMatch(/^ptgen-/);
+    expect(PT_GEN_STORE.store.has(`apikey-${created.key}`)).toBe(false); // 只保存摘要
+
+    const {key} = await auth("/", {headers: {"X-API-Key": created.key}});
+    expect(key.label).toBe("script");
+    expect(checkScope(key, "generate", "imdb")).toBe(null);
+    expect(checkScope(key, "generate", "douban").error_code).toBe("forbidden");
+    expect(checkScope(key, "search", "imdb").error_code).toBe("forbidden");
+  });
+
+  test("daily quota and usage counters", async () => {
+    const created = await create_key({label: "script", quota: 3});
+    const {key} = await auth(`/?apikey=${created.key}`);
+
+    expect(await consumeQuota(key, "douban")).toBe(null);
+    expect(await consumeQuota(key, ["imdb", "douban"])).toBe(null);
+    expect((await consumeQuota(key, "douban")).error_code).toBe("quota_exceeded");
+
+    const {body} = await call_api_keys(`/apikeys?id=${created.id}&days=1`);
+    expect(Object.values(body.usage)).toEqual([{total: 3, sites: {douban: 2, imdb: 1}}]);
+  });
+
+  test("key management", async () => {
+    const created = await create_key({label: "script"});
+    expect(created.scopes).toEqual(["search", "generate"]);
+    expect((await call_api_keys("/apikeys", {method: "POST", body: '{"scopes": ["root"]}'})).status).toBe(400);
+
+    const updated = await call_api_keys(`/apikeys?id=${created.id}`, {method: "PUT", body: '{"quota": 10}'});
+    expect(updated.body).toMatchObject({label: "script", quota: 10});
+
+    const list = await call_api_keys("/apikeys");
+    expect(list.body.data.map(k => k.id)).toEqual([created.id]);
+
+    await call_api_keys(`/apikeys?id=${created.id}`, {method: "DELETE"});
+    expect((await call_api_keys(`/apikeys?id=${created.id}`)).status).toBe(404);
+    expect((await auth(`/?apikey=${created.key}`)).error.error_code).toBe("auth_required");
+  });
+});
@@ -0,0 +1,29 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_bangumi, search_bangumi} from "../lib/bangumi";
+
+describe("bangumi", () => {
+  test("gen", async () => {
+    const data = await withFixtures("bangumi/253", () => gen_bangumi("253"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/bangumi.253.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("bangumi/not_found", () => gen_bangumi("0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("bangumi/search", () => search_bangumi("bebop"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("search past the last page", async () => {
+    // 页码超出结果数时接口返回不带 list 的错误信息
+    const data = await withFixtures("bangumi/search-past-end", () => search_bangumi("bebop", {page: 5}), {replay: true});
+    expect(data).toEqual({total: 0, data: []});
+  });
+});
@@ -0,0 +1,53 @@
+import {afterEach, describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {authenticate} from "../lib/auth";
+import {handleBatch} from "../lib/batch";
+
+const DOUBAN_URL = "https://movie.douban.com/subject/1292052/";
+
+function batch_event(path, body) {
+  const pending = [];
+  const event = {
+    request: new Request(`http://localhost${path}`, {method: "POST", body: JSON.stringify(body)}),
+    waitUntil: promise => pending.push(promise)
+  };
+  return {event, pending};
+}
+
+async function batch(event) {
+  const {key} = await authenticate(event.request, new URL(event.request.url));
+  return handleBatch(event, key);
+}
+
+describe("batch", () => {
+  afterEach(() => {
+    delete globalThis.BATCH_CONCURRENCY;
+  });
+
+  test("results in request order", async () => {
+    const {event} = batch_event("/batch", {items: [DOUBAN_URL, {site: "douban"}]});
+    const body = await withFixtures("douban/1292052", async () => (await batch(event)).json());
+    expect(body.data.map(d => [d.index, d.success, d.error_code])).toEqual([[0, true, null], [1, false, "invalid_request"]]);
+  });
+
+  test("stream stops when the client disconnects", async () => {
+    globalThis.BATCH_CONCURRENCY = "1";
+    const {event, pending} = batch_event("/batch?stream=1", {items: [DOUBAN_URL, DOUBAN_URL, DOUBAN_URL]});
+
+    let requests = 0;
+    await withFixtures("douban/1292052", async () => {
+      const replay = globalThis.fetch;
+      globalThis.fetch = (...args) => {
+        requests++;
+        return replay(...args);
+      };
+      const reader = (await batch(event)).body.getReader();
+      const {value} = await reader.read();
+      expect(JSON.parse(new TextDecoder().decode(value)).index).toBe(0);
+      await reader.cancel();
+      // 写入失败不应产生未处理的 rejection
+      await expect(Promise.all(pending)).resolves.toBeDefined();
+    });
+    expect(requests).toBeLessThan(9); // 每项请求 3 次，第三项不再生成
+  });
+});
@@ -0,0 +1,94 @@
+import {afterEach, beforeEach, describe, expect, test, vi} from "vitest";
+import {memoryStore} from "./harness";
+import {cached, getCacheTtl} from "../lib/cache";
+
+describe("cache", () => {
+  beforeEach(() => {
+    globalThis.PT_GEN_STORE = memoryStore();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    for (const key of ["PT_GEN_STORE", "CACHE_TTL", "CACHE_TTL_DOUBAN", "CACHE_STALE_TTL"]) {
+      delete globalThis[key];
+    }
+  });
+
+  test("per-site ttl", () => {
+    expect(getCacheTtl("douban")).toBe(86400 * 2);
+    globalThis.CACHE_TTL = "3600";
+    globalThis.CACHE_TTL_DOUBAN = "600";
+    expect(getCacheTtl("douban")).toBe(600);
+    expect(getCacheTtl("imdb")).toBe(3600);
+    expect(getCacheTtl()).toBe(3600);
+  });
+
+  test("fresh cache is returned without regeneration", async () => {
+    const producer = vi.fn(async () => ({success: true}));
+    await cached("info-douban-1", 600, producer);
+    const data = await cached("info-douban-1", 600, producer);
+
+    expect(producer).toHaveBeenCalledTimes(1);
+    expect(data.success).toBe(true);
+    expect(PT_GEN_STORE.store.get("info-douban-1").options.expirationTtl).toBe(600 + 86400 * 7);
+  });
+
+  test("refresh bypasses the cache", async () => {
+    const producer = vi.fn(async () => ({success: true}));
+    await cached("info-douban-1", 600, producer);
+    await cached("info-douban-1", 600, producer, {refresh: true});
+
+    expect(producer).toHaveBeenCalledTimes(2);
+  });
+
+  test("stale cache is returned while revalidating", async () => {
+    vi.useFakeTimers();
+    let version = 0;
+    const producer = async () => ({success: true, version: ++version});
+    await cached("info-douban-1", 600, producer);
+
+    vi.advanceTimersByTime(601 * 1000);
+    const pending = [];
+    const data = await cached("info-douban-1", 600, producer, {waitUntil: p => pending.push(p)});
+    expect(data.version).toBe(1);
+    expect(pending).toHaveLength(1);
+
+    await Promise.all(pending);
+    expect((await cached("info-douban-1", 600, producer)).version).toBe(2);
+  });
+
+  test("expired cache beyond the stale window is regenerated", async () => {
+    vi.useFakeTimers();
+    globalThis.CACHE_STALE_TTL = "0";
+    let version = 0;
+    const producer = async () => ({success: true, version: ++version});
+    await cached("info-douban-1", 600, producer);
+
+    vi.advanceTimersByTime(601 * 1000);
+    const data = await cached("info-douban-1", 600, producer, {waitUntil: () => null});
+    expect(data.version).toBe(2);
+  });
+
+  test("ttl 0 disables the cache", async () => {
+    let version = 0;
+    const producer = async () => ({success: true, version: ++version});
+    await cached("info-douban-1", 600, producer);
+
+    // 已有的缓存同样不再使用
+    const pending = [];
+    expect((await cached("info-douban-1", 0, producer, {waitUntil: p => pending.push(p)})).version).toBe(2);
+    expect((await cached("info-douban-1", 0, producer, {waitUntil: p => pending.push(p)})).version).toBe(3);
+    expect(pending).toHaveLength(0);
+    expect(JSON.parse(PT_GEN_STORE.store.get("info-douban-1").value).version).toBe(1);
+
+    await cached("info-douban-2", 0, producer);
+    expect(PT_GEN_STORE.store.has("info-douban-2")).toBe(false);
+  });
+
+  test("errors are not cached", async () => {
+    const producer = vi.fn(async () => ({error: "The corresponding resource does not exist."}));
+    await cached("info-douban-1", 600, producer);
+
+    expect(PT_GEN_STORE.store.size).toBe(0);
+  });
+});
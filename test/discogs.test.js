@@ -0,0 +1,39 @@
+import {afterAll, beforeAll, describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_discogs, search_discogs} from "../lib/discogs";
+import {render} from "../lib/format";
+import {format_music_release} from "../lib/musicbrainz";
+
+describe("discogs", () => {
+  beforeAll(() => {
+    globalThis.DISCOGS_TOKEN = process.env.DISCOGS_TOKEN || "test-token";
+  });
+
+  afterAll(() => {
+    delete globalThis.DISCOGS_TOKEN;
+  });
+
+  test("gen master", async () => {
+    const data = await withFixtures("discogs/master", () => gen_discogs("master/96559"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/discogs.master.txt");
+  });
+
+  test("track table in other formats", async () => {
+    const data = await withFixtures("discogs/master", () => gen_discogs("master/96559"));
+    await expect(render(format_music_release(data), "markdown")).toMatchFileSnapshot("__snapshots__/discogs.master.md");
+    expect(render(format_music_release(data), "html")).toContain("<tr><td>A</td><td>Rick Astley</td><td>Never Gonna Give You Up</td><td>3:32</td></tr>");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("discogs/not_found", () => gen_discogs("release/0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("discogs/search", () => search_discogs("Rick Astley - Never Gonna Give You Up"));
+    expect(data).toMatchSnapshot();
+  });
+});
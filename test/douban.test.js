@@ -0,0 +1,44 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_douban, search_douban} from "../lib/douban";
+import {generateMerged} from "../lib/provider";
+
+describe("douban", () => {
+  test("gen", async () => {
+    const data = await withFixtures("douban/1292052", () => gen_douban("1292052"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/douban.1292052.txt");
+  });
+
+  test("merge imdb", async () => {
+    // p.media-imdb.com 没有返回时，IMDb 评分取自 IMDb 页面
+    const data = await withFixtures("douban/1292052-imdb", () => generateMerged("douban", "1292052", "imdb"));
+    expect(data.errors).toEqual({});
+    expect(data.imdb_rating).toBe("9.3/10 from 3012345 users");
+    expect(data.metascore).toBe(82);
+    expect(data.popularity).toBe(88);
+    expect(data.cast_en).toEqual(["Tim Robbins", "Morgan Freeman", "Bob Gunton"]);
+    expect(data.imdb_release_date.length).toBeGreaterThan(0);
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/douban.1292052.imdb.txt");
+  });
+
+  test("merge imdb failed", async () => {
+    // IMDb 请求失败时仍返回豆瓣的结果，fixtures 中 IMDb 页面返回 503
+    const data = await withFixtures("douban/1292052-imdb-failed", () => generateMerged("douban", "1292052", "imdb"), {replay: true});
+    expect(data.success).toBe(true);
+    expect(data.errors.imdb).toEqual({error: "IMDb returned HTTP 503.", error_code: "upstream_blocked"});
+    expect(data.format).toBe((await withFixtures("douban/1292052", () => gen_douban("1292052"))).format);
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("douban/not_found", () => gen_douban("1"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("douban/search", () => search_douban("肖申克"));
+    expect(data).toMatchSnapshot();
+  });
+});
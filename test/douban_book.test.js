@@ -0,0 +1,36 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_douban_book, search_douban_book} from "../lib/douban_book";
+import {matchUrl} from "../lib/provider";
+
+describe("douban_book", () => {
+  test("gen", async () => {
+    const data = await withFixtures("douban_book/1084336", () => gen_douban_book("1084336"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/douban_book.1084336.txt");
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("douban_book/search", () => search_douban_book("追风筝的人"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("not found", async () => {
+    const data = await withFixtures("douban_book/not_found", () => gen_douban_book("1"));
+    expect(data.error_code).toBe("not_found");
+  });
+
+  test("parse failed", async () => {
+    // 页面结构变化时不应返回空标题的成功结果
+    const data = await withFixtures("douban_book/parse_failed", () => gen_douban_book("2"));
+    expect(data.success).toBeUndefined();
+    expect(data.error_code).toBe("parse_failed");
+  });
+
+  test("match url", () => {
+    expect(matchUrl("https://book.douban.com/subject/1084336/")).toEqual({site: "douban_book", sid: "1084336"});
+    expect(matchUrl("https://music.douban.com/subject/2272292/")).toEqual({site: "douban_music", sid: "2272292"});
+    expect(matchUrl("https://movie.douban.com/subject/1292052/")).toEqual({site: "douban", sid: "1292052"});
+  });
+});
@@ -0,0 +1,28 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_douban_music, search_douban_music} from "../lib/douban_music";
+
+describe("douban_music", () => {
+  test("gen", async () => {
+    const data = await withFixtures("douban_music/2272292", () => gen_douban_music("2272292"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/douban_music.2272292.txt");
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("douban_music/search", () => search_douban_music("范特西"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("not found", async () => {
+    const data = await withFixtures("douban_music/not_found", () => gen_douban_music("1"));
+    expect(data.error_code).toBe("not_found");
+  });
+
+  test("parse failed", async () => {
+    const data = await withFixtures("douban_music/parse_failed", () => gen_douban_music("2"));
+    expect(data.success).toBeUndefined();
+    expect(data.error_code).toBe("parse_failed");
+  });
+});
@@ -0,0 +1,23 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_epic, search_epic} from "../lib/epic";
+
+describe("epic", () => {
+  test("gen", async () => {
+    const data = await withFixtures("epic/celeste", () => gen_epic("celeste"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/epic.celeste.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("epic/not_found", () => gen_epic("not-a-game"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("epic/search", () => search_epic("celeste"));
+    expect(data).toMatchSnapshot();
+  });
+});
@@ -0,0 +1 @@
+imdb.rating.run({"resource":{"@type":"imdb.api.title.ratings","id":"/title/tt0111161/","title":"The Shawshank Redemption","titleType":"movie","year":1994,"canRate":true,"otherRanks":[{"id":"/chart/ratings/toprated","label":"Top 250 Movies","rank":1,"rankType":"topRated"}],"rating":9.3,"ratingCount":2912345,"topRank":1}})
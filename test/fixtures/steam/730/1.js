@@ -0,0 +1 @@
+proc({"name_cn":"反恐精英2","appid":730});
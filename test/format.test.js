@@ -0,0 +1,71 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {bbcode, bold, code, image, link, render, table} from "../lib/format";
+import {reformat} from "../lib/provider";
+import {gen_douban} from "../lib/douban";
+import {gen_imdb} from "../lib/imdb";
+import {gen_bangumi} from "../lib/bangumi";
+import {gen_steam} from "../lib/steam";
+import {gen_indienova} from "../lib/indienova";
+import {gen_epic} from "../lib/epic";
+
+const BBCODE = "[b]x[/b] [url=https://a.b/?q=1&r=2]site[/url] [img]https://i/p.jpg[/img] [url]https://c.d[/url] [size=3]y[/size]";
+
+describe("format", () => {
+  test("escape text", () => {
+    const text = ["a*b_<c> & [d]", "\n#tag"];
+    expect(render(text, "bbcode")).toBe("a*b_<c> & [d]\n#tag");
+    expect(render(text, "markdown")).toBe("a\\*b\\_\\<c\\> & \\[d\\]  \n\\#tag");
+    expect(render(text, "html")).toBe("a*b_&lt;c&gt; &amp; [d]<br>\n#tag");
+    expect(render(text, "plain")).toBe("a*b_<c> & [d]\n#tag");
+  });
+
+  test("convert bbcode", () => {
+    // [url]、[img] 单独转换，不认识的标签（如 [size]）被丢弃
+    expect(render(bbcode(BBCODE), "bbcode")).toBe(BBCODE);
+    expect(render(bbcode(BBCODE), "markdown")).toBe("**x** [site](https://a.b/?q=1&r=2) ![](https://i/p.jpg) [https://c.d](https://c.d) y");
+    expect(render(bbcode(BBCODE), "html")).toBe(
+      '<b>x</b> <a href="https://a.b/?q=1&amp;r=2">site</a> <img src="https://i/p.jpg"> <a href="https://c.d">https://c.d</a> y'
+    );
+    expect(render(bbcode(BBCODE), "plain")).toBe("x site https://a.b/?q=1&r=2 https://i/p.jpg https://c.d https://c.d y");
+  });
+
+  test("nodes", () => {
+    const descr = [image("https://i/p.jpg"), "\n", link("a_b", "https://a.b/"), "\n", table([["k", "v|w"], ["1", "<2>"]])];
+    expect(render(descr, "bbcode")).toBe("[img]https://i/p.jpg[/img]\n[url=https://a.b/]a_b[/url]\n[table][tr][td]k[/td][td]v|w[/td][/tr]\n[tr][td]1[/td][td]<2>[/td][/tr][/table]");
+    expect(render(descr, "markdown")).toBe("![](https://i/p.jpg)  \n[a\\_b](https://a.b/)  \n| k | v\\|w |  \n| --- | --- |  \n| 1 | \\<2\\> |");
+    expect(render(descr, "html")).toBe('<img src="https://i/p.jpg"><br>\n<a href="https://a.b/">a_b</a><br>\n<table><tr><th>k</th><th>v|w</th></tr><tr><td>1</td><td>&lt;2&gt;</td></tr></table>');
+    expect(render(descr, "plain")).toBe("https://i/p.jpg\na_b https://a.b/\nk  v|w\n1  <2>");
+  });
+
+  test("bold keeps surrounding spaces outside markdown markers", () => {
+    const descr = ["a", bold(" 导演 "), "b"];
+    expect(render(descr, "bbcode")).toBe("a[b] 导演 [/b]b");
+    expect(render(descr, "markdown")).toBe("a **导演** b");
+    expect(render(descr, "html")).toBe("a<b> 导演 </b>b");
+  });
+
+  test("line breaks", () => {
+    // Markdown 中单个换行加上行尾两个空格，空行与代码块内保持原样
+    expect(render(["a\nb\n\nc\n", code("x\ny")], "markdown")).toBe("a  \nb\n\nc\n```\nx\ny\n```");
+    expect(render("a\nb", "html")).toBe("a<br>\nb");
+    expect(render(" a\nb \n", "plain")).toBe("a\nb");
+  });
+
+  test.each([
+    ["douban/1292052", () => gen_douban("1292052")],
+    ["imdb/tt0111161", () => gen_imdb("tt0111161")],
+    ["bangumi/253", () => gen_bangumi("253")],
+    ["steam/730", () => gen_steam("730")],
+    ["indienova/celeste", () => gen_indienova("celeste")],
+    ["epic/celeste", () => gen_epic("celeste")]
+  ])("%s in every format", async (fixtures, gen) => {
+    const data = await withFixtures(fixtures, gen);
+    expect(data.success).toBe(true);
+    // 默认的 bbcode 与生成结果相同，其他格式见快照
+    expect(reformat(data, "bbcode").format).toBe(data.format);
+    for (const format_type of ["markdown", "html", "plain"]) {
+      expect(reformat(data, format_type).format).toMatchSnapshot(format_type);
+    }
+  });
+});
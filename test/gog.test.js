@@ -0,0 +1,18 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_gog} from "../lib/gog";
+
+describe("gog", () => {
+  test("gen", async () => {
+    const data = await withFixtures("gog/the_witcher_3", () => gen_gog("the_witcher_3_wild_hunt_game_of_the_year_edition"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/gog.the_witcher_3.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("gog/not_found", () => gen_gog("not_a_game"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,132 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * 离线测试工具
+ * 使用 test/fixtures/<name>/ 下保存的页面替换全局 fetch，使站点模块可以在无网络的情况下运行
+ * 设置环境变量 RECORD_FIXTURES=1 （即 `npm run test:record`）时改为请求真实站点，并将响应重新保存为 fixtures
+ *
+ * fixtures 目录结构：
+ *   manifest.json  [{"method": "GET", "url": "...", "status": 200, "headers": {...}, "file": "0.html"}, ...]
+ *   0.html, 1.json ... 对应的响应体
+ */
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const RECORD = Boolean(process.env.RECORD_FIXTURES);
+
+const extension_list = {
+  "text/html": "html",
+  "application/json": "json",
+  "application/javascript": "js",
+  "text/javascript": "js"
+};
+
+function fixture_dir(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+function replay_fetch(name) {
+  const dir = fixture_dir(name);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  const used = new Set();
+
+  return async function (resource, init = {}) {
+    const url = String(resource);
+    const method = (init.method || "GET").toUpperCase();
+    // 同一链接请求多次时依次使用，用完后重复使用最后一条
+    const candidates = manifest.filter(e => e.url === url && (e.method || "GET") === method);
+    if (candidates.length === 0) {
+      throw new Error(`No fixture in ${name} for ${method} ${url}`);
+    }
+    const entry = candidates.find(e => !used.has(e)) || candidates[candidates.length - 1];
+    used.add(entry);
+
+    const body = entry.file ? fs.readFileSync(path.join(dir, entry.file)) : null;
+    const response = new Response(body, {status: entry.status, headers: entry.headers});
+    Object.defineProperty(response, "url", {value: url});
+    return response;
+  };
+}
+
+function record_fetch(name, entries) {
+  const real_fetch = globalThis.fetch;
+
+  return async function (resource, init = {}) {
+    const url = String(resource);
+    const method = (init.method || "GET").toUpperCase();
+    const response = await real_fetch(resource, init);
+    const body = Buffer.from(await response.arrayBuffer());
+
+    const headers = {};
+    const content_type = response.headers.get("content-type") || "";
+    if (content_type) headers["content-type"] = content_type;
+    for (const key of ["location", "set-cookie"]) {
+      if (response.headers.get(key)) headers[key] = response.headers.get(key);
+    }
+
+    const entry = {method: method, url: url, status: response.status, headers: headers};
+    if (body.length > 0) {
+      const extension = extension_list[content_type.split(";")[0].trim()] || "txt";
+      entry.file = `${entries.length}.${extension}`;
+      entry.body = body;
+    }
+    entries.push(entry);
+
+    const replayed = new Response(body.length > 0 ? body : null, {status: response.status, headers: headers});
+    Object.defineProperty(replayed, "url", {value: response.url || url});
+    return replayed;
+  };
+}
+
+function save_fixtures(name, entries) {
+  const dir = fixture_dir(name);
+  fs.rmSync(dir, {recursive: true, force: true});
+  fs.mkdirSync(dir, {recursive: true});
+  for (const entry of entries) {
+    if (entry.file) {
+      fs.writeFileSync(path.join(dir, entry.file), entry.body);
+      delete entry.body;
+    }
+  }
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(entries, null, 2) + "\n");
+}
+
+/**
+ * 在 fixtures 环境下运行 fn，期间所有 fetch 均由 test/fixtures/<name>/ 提供
+ * @param {string} name fixtures 名，如 "douban/1292052"
+ * @param {function(): Promise<*>} fn
+ * @param {{replay: boolean}} [options] replay 为 true 时即使在录制模式下也只回放，用于模拟站点出错等无法录制的情况
+ */
+export async function withFixtures(name, fn, {replay = false} = {}) {
+  const original_fetch = globalThis.fetch;
+  const entries = [];
+  const record = RECORD && !replay;
+  globalThis.fetch = record ? record_fetch(name, entries) : replay_fetch(name);
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = original_fetch;
+    if (record) {
+      save_fixtures(name, entries);
+    }
+  }
+}
+
+// 内存中的 KV Storage，用于替换 PT_GEN_STORE
+export function memoryStore() {
+  const store = new Map();
+  return {
+    store: store,
+    get: async key => store.has(key) ? store.get(key).value : null,
+    put: async (key, value, options) => {
+      store.set(key, {value: value, options: options});
+    },
+    delete: async key => {
+      store.delete(key);
+    },
+    list: async ({prefix = ""} = {}) => ({
+      keys: [...store.keys()].filter(key => key.startsWith(prefix)).map(name => ({name})),
+      list_complete: true
+    })
+  };
+}
@@ -0,0 +1,23 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_imdb, search_imdb} from "../lib/imdb";
+
+describe("imdb", () => {
+  test("gen", async () => {
+    const data = await withFixtures("imdb/tt0111161", () => gen_imdb("tt0111161"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/imdb.tt0111161.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("imdb/not_found", () => gen_imdb("0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("imdb/search", () => search_imdb("Shawshank"));
+    expect(data).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,23 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_indienova, search_indienova} from "../lib/indienova";
+
+describe("indienova", () => {
+  test("gen", async () => {
+    const data = await withFixtures("indienova/celeste", () => gen_indienova("celeste"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/indienova.celeste.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("indienova/not_found", () => gen_indienova("not-a-game"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("indienova/search", () => search_indienova("蔚蓝"));
+    expect(data).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,91 @@
+import {afterEach, beforeEach, describe, expect, test} from "vitest";
+import {memoryStore, withFixtures} from "./harness";
+import {lookup, lookupTargets} from "../lib/lookup";
+
+describe("lookup", () => {
+  beforeEach(() => {
+    globalThis.PT_GEN_STORE = memoryStore();
+  });
+
+  afterEach(() => {
+    delete globalThis.PT_GEN_STORE;
+    delete globalThis.DISABLE_SEARCH;
+  });
+
+  test("imdb to douban", async () => {
+    const data = await withFixtures("lookup/tt0111161", () => lookup("imdb", "tt0111161"));
+    expect(data).toEqual({
+      success: true,
+      site: "imdb",
+      sid: "tt0111161",
+      data: [{site: "douban", sid: "1292052", link: "https://movie.douban.com/subject/1292052/"}]
+    });
+
+    // 对应关系双向保存，之后的反查不再请求任何站点
+    const stored = globalThis.PT_GEN_STORE.store;
+    expect(JSON.parse(stored.get("lookup-imdb-tt0111161").value)).toEqual({douban: "1292052"});
+    expect(JSON.parse(stored.get("lookup-douban-1292052").value)).toEqual({imdb: "tt0111161"});
+    expect(stored.get("lookup-douban-1292052").options).toBeUndefined();
+
+    const douban = await withFixtures("lookup/empty", () => lookup("douban", "1292052"));
+    expect(douban.data).toEqual([{site: "imdb", sid: "tt0111161", link: "https://www.imdb.com/title/tt0111161/"}]);
+  });
+
+  test("searches and candidates are charged", async () => {
+    const charged = [];
+    const charge = async (action, site) => {
+      charged.push([action, site]);
+      return null;
+    };
+    const data = await withFixtures("lookup/tt0111161", () => lookup("imdb", "tt0111161", {charge: charge}));
+    expect(data.data).toHaveLength(1);
+    expect(charged).toEqual([["search", "douban"], ["generate", "douban"]]);
+    // 豆瓣搜索与生成均使用 KV 缓存
+    expect(globalThis.PT_GEN_STORE.store.has("search-douban-tt0111161")).toBe(true);
+
+    const limited = {error: "rate limited", error_code: "rate_limited", retry_after: 30};
+    const denied = await withFixtures("lookup/tt0111161", () => lookup("imdb", "tt0111161", {
+      refresh: true,
+      charge: async action => action === "generate" ? limited : null
+    }));
+    expect(denied).toMatchObject({site: "imdb", sid: "tt0111161", error_code: "rate_limited", retry_after: 30});
+  });
+
+  test("search disabled", async () => {
+    globalThis.DISABLE_SEARCH = "1";
+    const data = await withFixtures("lookup/empty", () => lookup("imdb", "tt0111161"));
+    expect(data.error_code).toBe("search_disabled");
+
+    // anilist 与 mal 之间的对应关系不需要搜索
+    const anilist = await withFixtures("lookup/anilist-anime-1", () => lookup("anilist", "anime/1"));
+    expect(anilist.data).toEqual([{site: "mal", sid: "anime/1", link: "https://myanimelist.net/anime/1"}]);
+  });
+
+  test("anilist to mal and bangumi", async () => {
+    const data = await withFixtures("lookup/anilist-anime-1", () => lookup("anilist", "anime/1"));
+    expect(data.data).toEqual([
+      {site: "mal", sid: "anime/1", link: "https://myanimelist.net/anime/1"},
+      {site: "bangumi", sid: "253", link: "https://bgm.tv/subject/253"}
+    ]);
+    expect(JSON.parse(globalThis.PT_GEN_STORE.store.get("lookup-bangumi-253").value)).toEqual({anilist: "anime/1", mal: "anime/1"});
+  });
+
+  test("bangumi to anilist and mal", async () => {
+    const data = await withFixtures("lookup/bangumi-253", () => lookup("bangumi", "253"));
+    expect(data.data).toEqual([
+      {site: "anilist", sid: "anime/1", link: "https://anilist.co/anime/1"},
+      {site: "mal", sid: "anime/1", link: "https://myanimelist.net/anime/1"}
+    ]);
+  });
+
+  test("error of the source site", async () => {
+    const data = await withFixtures("douban/not_found", () => lookup("douban", "1"));
+    expect(data.error_code).toBe("not_found");
+    expect(globalThis.PT_GEN_STORE.store.has("lookup-douban-1")).toBe(false);
+  });
+
+  test("targets", () => {
+    expect(lookupTargets("imdb")).toEqual(["douban"]);
+    expect(lookupTargets("steam")).toEqual([]);
+  });
+});
@@ -0,0 +1,217 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {authenticate} from "../lib/auth";
+import {handleMediaInfo, parseMediaInfo} from "../lib/mediainfo";
+
+const MEDIAINFO = `General
+Unique ID                                : 123456789012345678901234567890123456789 (0x5CE5B7A0E5A2F5B0A4C3D2E1F0A9B8C7)
+Complete name                            : D:\\Movies\\The.Shawshank.Redemption.1994.2160p.UHD.BluRay.x265.10bit.HDR.TrueHD.7.1.Atmos-GROUP.mkv
+Format                                   : Matroska
+Format version                           : Version 4
+File size                                : 58.3 GiB
+Duration                                 : 2 h 22 min
+Overall bit rate                         : 58.6 Mb/s
+
+Video
+ID                                       : 1
+Format                                   : HEVC
+Format/Info                              : High Efficiency Video Coding
+Format profile                           : Main 10@L5.1@High
+HDR format                               : Dolby Vision, Version 1.0, dvhe.08.06, BL+RPU, HDR10 compatible / SMPTE ST 2086, HDR10 compatible
+Codec ID                                 : V_MPEGH/ISO/HEVC
+Bit rate                                 : 52.1 Mb/s
+Width                                    : 3 840 pixels
+Height                                   : 1 600 pixels
+Display aspect ratio                     : 2.40:1
+Frame rate mode                          : Constant
+Frame rate                               : 23.976 (24000/1001) FPS
+Bit depth                                : 10 bits
+Transfer characteristics                 : PQ
+
+Audio #1
+ID                                       : 2
+Format                                   : MLP FBA 16-ch
+Commercial name                          : Dolby TrueHD with Dolby Atmos
+Bit rate                                 : 4 526 kb/s
+Channel(s)                               : 8 channels
+Channel layout                           : L R C LFE Ls Rs Lb Rb
+Sampling rate                            : 48.0 kHz
+Title                                    : TrueHD Atmos 7.1
+Language                                 : English
+
+Audio #2
+ID                                       : 3
+Format                                   : AC-3
+Commercial name                          : Dolby Digital
+Bit rate                                 : 192 kb/s
+Channel(s)                               : 2 channels
+Channel layout                           : L R
+Sampling rate                            : 48.0 kHz
+Title                                    : Commentary
+Language                                 : English
+
+Text #1
+ID                                       : 4
+Format                                   : PGS
+Title                                    : English
+Language                                 : English
+
+Text #2
+ID                                       : 5
+Format                                   : UTF-8
+Title                                    : 简体中文
+Language                                 : Chinese
+
+Menu
+00:00:00.000                             : en:Chapter 01
+`;
+
+const BDINFO_QUICK = `[code]
+Disc Title:     THE_SHAWSHANK_REDEMPTION
+Disc Size:      62,436,868,096 bytes
+Protection:     AACS2
+Extras:         Ultra HD, BD-Java
+BDInfo:         0.7.5.5
+
+Playlist:       00800.MPLS
+Size:           61,236,868,096 bytes
+Length:         2:22:31.164
+Total Bitrate:  57.26 Mbps
+Video:          MPEG-H HEVC Video / 52016 kbps / 2160p / 23.976 fps / 16:9 / Main 10 @ Level 5.1 @ High / 10 bits / HDR10 / BT.2020
+Video:          * MPEG-H HEVC Video / 3947 kbps / 1080p / 23.976 fps / 16:9 / Main 10 @ Level 5.1 @ High / 10 bits / Dolby Vision / BT.2020
+Audio:          English / Dolby TrueHD/Atmos Audio / 7.1 / 48 kHz /  4226 kbps / 24-bit (AC3 Embedded: 5.1 / 48 kHz /   640 kbps / DN -31dB)
+Audio:          * Chinese / Dolby Digital Audio / 5.1 / 48 kHz /   640 kbps / DN -31dB
+Subtitle:       English / 34.590 kbps
+Subtitle:       * Chinese / 30.123 kbps
+[/code]`;
+
+const BDINFO_REPORT = `DISC INFO:
+
+Disc Title:     THE_SHAWSHANK_REDEMPTION
+Disc Size:      48,036,868,096 bytes
+
+PLAYLIST REPORT:
+
+Name:                   00800.MPLS
+Length:                 2:22:31.164 (h:m:s.ms)
+Size:                   46,236,868,096 bytes
+Total Bitrate:          43.26 Mbps
+
+VIDEO:
+
+Codec                   Bitrate             Description
+-----                   -------             -----------
+MPEG-4 AVC Video        34016 kbps          1080p / 23.976 fps / 16:9 / High Profile 4.1
+
+AUDIO:
+
+Codec                           Language        Bitrate         Description
+-----                           --------        -------         -----------
+DTS-HD Master Audio             English         3792 kbps       5.1 / 48 kHz /  3792 kbps / 24-bit (DTS Core: 5.1 / 48 kHz /  1509 kbps / 24-bit)
+
+SUBTITLES:
+
+Codec                           Language        Bitrate         Description
+-----                           --------        -------         -----------
+Presentation Graphics           English         34.590 kbps
+`;
+
+async function post_mediainfo(path, body, headers = {}) {
+  const request = new Request(`http://localhost${path}`, {method: "POST", body: body, headers: headers});
+  const {key} = await authenticate(request, new URL(request.url));
+  const response = await handleMediaInfo({request: request, waitUntil: () => null}, key);
+  return {status: response.status, body: await response.json()};
+}
+
+describe("mediainfo", () => {
+  test("parse mediainfo", () => {
+    const info = parseMediaInfo(MEDIAINFO);
+    expect(info.kind).toBe("mediainfo");
+    expect(info.general).toEqual({
+      name: "The.Shawshank.Redemption.1994.2160p.UHD.BluRay.x265.10bit.HDR.TrueHD.7.1.Atmos-GROUP.mkv",
+      format: "Matroska",
+      size: "58.3 GiB",
+      duration: "2 h 22 min",
+      bitrate: "58.6 Mb/s"
+    });
+    expect(info.video).toEqual([{
+      codec: "HEVC", profile: "Main 10@L5.1@High", width: 3840, height: 1600, resolution: "2160p", frame_rate: "23.976 fps",
+      bit_depth: 10, bitrate: "52.1 Mb/s", aspect_ratio: "2.40:1", hdr: ["DV", "HDR10"]
+    }]);
+    expect(info.audio.map(a => [a.codec, a.channels, a.language])).toEqual([
+      ["Dolby TrueHD with Dolby Atmos", "7.1", "English"],
+      ["Dolby Digital", "2.0", "English"]
+    ]);
+    expect(info.subtitles).toEqual([
+      {codec: "PGS", language: "English", title: "English"},
+      {codec: "UTF-8", language: "Chinese", title: "简体中文"}
+    ]);
+  });
+
+  test("parse bdinfo quick summary", () => {
+    const info = parseMediaInfo(BDINFO_QUICK);
+    expect(info.kind).toBe("bdinfo");
+    expect(info.general).toEqual({
+      name: "THE_SHAWSHANK_REDEMPTION", format: "Blu-ray", size: "58.15 GiB", duration: "2:22:31.164", bitrate: "57.26 Mbps"
+    });
+    expect(info.video.map(v => [v.codec, v.resolution, v.bit_depth, v.hdr])).toEqual([
+      ["HEVC", "2160p", 10, ["HDR10"]],
+      ["HEVC", "1080p", 10, ["DV"]]
+    ]);
+    expect(info.audio).toEqual([
+      {codec: "Dolby TrueHD/Atmos", language: "English", channels: "7.1", sampling_rate: "48 kHz", bitrate: "4226 kbps", title: null},
+      {codec: "Dolby Digital", language: "Chinese", channels: "5.1", sampling_rate: "48 kHz", bitrate: "640 kbps", title: null}
+    ]);
+    expect(info.subtitles.map(s => s.language)).toEqual(["English", "Chinese"]);
+  });
+
+  test("parse bdinfo report", () => {
+    const info = parseMediaInfo(BDINFO_REPORT);
+    expect(info.general.duration).toBe("2:22:31.164 (h:m:s.ms)");
+    expect(info.video.map(v => [v.codec, v.resolution, v.bitrate, v.profile])).toEqual([["AVC", "1080p", "34016 kbps", "High Profile 4.1"]]);
+    expect(info.audio.map(a => [a.codec, a.language, a.channels])).toEqual([["DTS-HD Master", "English", "5.1"]]);
+    expect(info.subtitles).toEqual([{codec: "PGS", language: "English", title: null}]);
+  });
+
+  test("unrecognized text", () => {
+    expect(parseMediaInfo("not a mediainfo")).toBe(null);
+    expect(parseMediaInfo("General\nFormat : Matroska\n")).toBe(null);
+  });
+
+  test("append to format", async () => {
+    const {status, body} = await withFixtures("douban/1292052", () => post_mediainfo(
+      "/mediainfo",
+      JSON.stringify({url: "https://movie.douban.com/subject/1292052/", mediainfo: BDINFO_QUICK}),
+      {"Content-Type": "application/json"}
+    ));
+    expect(status).toBe(200);
+    expect(body.mediainfo.kind).toBe("bdinfo");
+    await expect(body.format).toMatchFileSnapshot("__snapshots__/douban.1292052.bdinfo.txt");
+  });
+
+  test("raw text body", async () => {
+    const {body} = await withFixtures("douban/1292052", () => post_mediainfo("/mediainfo?site=douban&sid=1292052&format_type=html", MEDIAINFO));
+    expect(body.format).toContain("◎视　　频　HEVC / 2160p / 23.976 fps / 10 bits / DV, HDR10 / 52.1 Mb/s");
+    expect(body.format).toContain("<pre>General&#10;");
+  });
+
+  test("markdown code block", async () => {
+    // 代码块内的原始文本逐字节保留，不添加行尾空格
+    const {body} = await withFixtures("douban/1292052", () => post_mediainfo("/mediainfo?site=douban&sid=1292052&format_type=markdown", MEDIAINFO));
+    expect(body.format).toContain("\n```\n" + MEDIAINFO.trim() + "\n```");
+    expect(body.format).toContain("◎视　　频　HEVC / 2160p / 23.976 fps / 10 bits / DV, HDR10 / 52.1 Mb/s  \n");
+  });
+
+  test("invalid request", async () => {
+    // 错误响应与生成结果使用相同的结构
+    const {status, body} = await post_mediainfo("/mediainfo?site=douban&sid=1292052", "");
+    expect(status).toBe(400);
+    expect(body).toMatchObject({success: false, error_code: "invalid_request", format: ""});
+    expect(body.version).toBeTruthy();
+    expect((await post_mediainfo("/mediainfo?site=douban&sid=1292052", "hello")).body.error_code).toBe("invalid_request");
+    expect((await post_mediainfo("/mediainfo", MEDIAINFO)).body.error_code).toBe("invalid_request");
+    const request = new Request("http://localhost/mediainfo?site=douban&sid=1292052");
+    const response = await handleMediaInfo({request: request}, {id: null});
+    expect(response.status).toBe(405);
+  });
+});
@@ -0,0 +1,30 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_musicbrainz, search_musicbrainz} from "../lib/musicbrainz";
+
+describe("musicbrainz", () => {
+  test("gen", async () => {
+    const data = await withFixtures("musicbrainz/release", () => gen_musicbrainz("release/b84ee12a-09ef-421b-82de-0441a926375b"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/musicbrainz.release.txt");
+  });
+
+  test("gen release group", async () => {
+    const data = await withFixtures("musicbrainz/release-group", () => gen_musicbrainz("release-group/f5093c06-23e3-404f-aeaa-40f72885ee3a"));
+    expect(data.success).toBe(true);
+    expect(data.release_id).toBe("b84ee12a-09ef-421b-82de-0441a926375b");
+    expect(data.musicbrainz_link).toBe("https://musicbrainz.org/release-group/f5093c06-23e3-404f-aeaa-40f72885ee3a");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("musicbrainz/not_found", () => gen_musicbrainz("release/00000000-0000-0000-0000-000000000000"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("musicbrainz/search", () => search_musicbrainz("Pink Floyd - The Dark Side of the Moon"));
+    expect(data).toMatchSnapshot();
+  });
+});
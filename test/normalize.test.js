@@ -0,0 +1,109 @@
+import {afterAll, beforeAll, describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {labeled_people, parseVersion, people, rating, to_int} from "../lib/normalize";
+import {getProvider, withNormalized} from "../lib/provider";
+import schema from "../schema/v2.schema.json";
+
+// 只实现 schema/v2.schema.json 中用到的关键字，返回不符合的路径列表
+function validate(value, rule, path = "data") {
+  const errors = [];
+  const types = [].concat(rule.type || []);
+  const type_of = v => v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v;
+  if (types.length > 0 && !types.some(t => t === type_of(value) || (t === "number" && typeof value === "number"))) {
+    return [`${path}: expect ${types.join("|")}, got ${type_of(value)}`];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} not in enum`);
+  }
+  if (rule.pattern && typeof value === "string" && !new RegExp(rule.pattern).test(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} not match ${rule.pattern}`);
+  }
+  if (type_of(value) === "array" && rule.items) {
+    value.forEach((v, i) => errors.push(...validate(v, rule.items, `${path}[${i}]`)));
+  }
+  if (type_of(value) === "object") {
+    for (const key of rule.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const child = (rule.properties || {})[key] || rule.additionalProperties;
+      if (child === false || child === undefined && rule.properties) {
+        errors.push(`${path}.${key}: not allowed`);
+      } else if (child && child !== true) {
+        errors.push(...validate(v, child, `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+describe("normalize", () => {
+  test("parseVersion", () => {
+    expect(parseVersion(null)).toBe(1);
+    expect(parseVersion("")).toBe(1);
+    expect(parseVersion("1")).toBe(1);
+    expect(parseVersion("2")).toBe(2);
+    expect(parseVersion(2)).toBe(2);
+    expect(parseVersion("3")).toBeNull();
+    expect(parseVersion("abc")).toBeNull();
+  });
+
+  test("helpers", () => {
+    expect(to_int("1,234,567")).toBe(1234567);
+    expect(to_int("")).toBeNull();
+    expect(rating("douban", "9.7", 10, "2,000")).toEqual({source: "douban", value: 9.7, max: 10, votes: 2000});
+    expect(rating("douban", "0", 10, "0")).toBeNull();
+    expect(people(["A", {name: "B", character: "C"}, ""], "actor")).toEqual([
+      {name: "A", role: "actor"},
+      {name: "B", role: "actor", character: "C"}
+    ]);
+    expect(labeled_people(["导演: 渡辺信一郎", "音乐：菅野よう子、山根麻衣"], "staff")).toEqual([
+      {name: "渡辺信一郎", role: "staff", job: "导演"},
+      {name: "菅野よう子", role: "staff", job: "音乐"},
+      {name: "山根麻衣", role: "staff", job: "音乐"}
+    ]);
+  });
+
+  test("v=1 keeps data unchanged", async () => {
+    const data = await withFixtures("douban/1292052", () => getProvider("douban").gen("1292052"));
+    expect(withNormalized(data, 1)).toBe(data);
+    expect(withNormalized({site: "douban", sid: "0", success: false}, 2).data).toBeUndefined();
+  });
+
+  describe("providers", () => {
+    beforeAll(() => {
+      globalThis.TMDB_API_TOKEN = process.env.TMDB_API_TOKEN || "test-token";
+      globalThis.DISCOGS_TOKEN = process.env.DISCOGS_TOKEN || "test-token";
+    });
+
+    afterAll(() => {
+      delete globalThis.TMDB_API_TOKEN;
+      delete globalThis.DISCOGS_TOKEN;
+    });
+
+    test.each([
+      ["douban", "1292052", "douban/1292052"],
+      ["douban_book", "1084336", "douban_book/1084336"],
+      ["douban_music", "2272292", "douban_music/2272292"],
+      ["imdb", "tt0111161", "imdb/tt0111161"],
+      ["bangumi", "253", "bangumi/253"],
+      ["steam", "730", "steam/730"],
+      ["indienova", "celeste", "indienova/celeste"],
+      ["epic", "celeste", "epic/celeste"],
+      ["gog", "the_witcher_3_wild_hunt_game_of_the_year_edition", "gog/the_witcher_3"],
+      ["tmdb", "movie/550", "tmdb/movie-550"],
+      ["tmdb", "tv/1399", "tmdb/tv-1399"],
+      ["anilist", "anime/1", "anilist/anime-1"],
+      ["mal", "anime/1", "anilist/mal-anime-1"],
+      ["vndb", "v17", "vndb/v17"],
+      ["musicbrainz", "release/b84ee12a-09ef-421b-82de-0441a926375b", "musicbrainz/release"],
+      ["discogs", "master/96559", "discogs/master"],
+      ["tvmaze", "82", "tvmaze/82"]
+    ])("%s %s", async (site, sid, fixtures) => {
+      const data = withNormalized(await withFixtures(fixtures, () => getProvider(site).gen(sid)), 2);
+      expect(data.success).toBe(true);
+      expect(validate(data.data, schema)).toEqual([]);
+      expect(data.data).toMatchSnapshot();
+    });
+  });
+});
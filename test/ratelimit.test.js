@@ -0,0 +1,81 @@
+import {afterEach, beforeEach, describe, expect, test, vi} from "vitest";
+import {memoryStore} from "./harness";
+import {checkRateLimit, clientId, getLimit, parseLimit, useMemoryCounter} from "../lib/ratelimit";
+
+const ENV = ["RATE_LIMIT_SEARCH", "RATE_LIMIT_GENERATE", "RATE_LIMIT_GENERATE_DOUBAN"];
+
+describe("ratelimit", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-01-01T00:00:00Z"));
+    globalThis.PT_GEN_STORE = memoryStore();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete globalThis.PT_GEN_STORE;
+    for (const key of ENV) {
+      delete globalThis[key];
+    }
+  });
+
+  test("parse limits", () => {
+    expect(parseLimit("30/120")).toEqual({limit: 30, window: 120});
+    expect(parseLimit("30")).toEqual({limit: 30, window: 60});
+    expect(parseLimit("0")).toBe(null);
+    expect(parseLimit(undefined)).toBe(null);
+
+    globalThis.RATE_LIMIT_GENERATE = "30";
+    globalThis.RATE_LIMIT_GENERATE_DOUBAN = "5/10";
+    expect(getLimit("generate", "douban")).toEqual({limit: 5, window: 10});
+    expect(getLimit("generate", "imdb")).toEqual({limit: 30, window: 60});
+    expect(getLimit("search", "douban")).toBe(null);
+  });
+
+  test("no limit by default", async () => {
+    for (let i = 0; i < 100; i++) {
+      expect(await checkRateLimit("ip:1.1.1.1", "generate", "douban")).toBe(null);
+    }
+  });
+
+  test("limits are separated by client, action and site", async () => {
+    globalThis.RATE_LIMIT_GENERATE = "3/60";
+    globalThis.RATE_LIMIT_GENERATE_DOUBAN = "1/60";
+    globalThis.RATE_LIMIT_SEARCH = "1/60";
+
+    expect(await checkRateLimit("ip:1.1.1.1", "generate", "douban")).toBe(null);
+    const limited = await checkRateLimit("ip:1.1.1.1", "generate", "douban");
+    expect(limited).toMatchObject({error_code: "rate_limited", retry_after: 60});
+
+    expect(await checkRateLimit("ip:2.2.2.2", "generate", "douban")).toBe(null);
+    expect(await checkRateLimit("ip:1.1.1.1", "search", "douban")).toBe(null);
+    expect(await checkRateLimit("ip:1.1.1.1", "generate", ["imdb", "imdb", "imdb"])).toBe(null);
+    expect((await checkRateLimit("ip:1.1.1.1", "generate", "imdb")).error_code).toBe("rate_limited");
+  });
+
+  test("counts reset with the window", async () => {
+    globalThis.RATE_LIMIT_GENERATE = "1/60";
+    expect(await checkRateLimit("ip:1.1.1.1", "generate", "douban")).toBe(null);
+
+    vi.advanceTimersByTime(45 * 1000);
+    expect((await checkRateLimit("ip:1.1.1.1", "generate", "douban")).retry_after).toBe(15);
+
+    vi.advanceTimersByTime(15 * 1000);
+    expect(await checkRateLimit("ip:1.1.1.1", "generate", "douban")).toBe(null);
+  });
+
+  test("memory counter", async () => {
+    useMemoryCounter();
+    globalThis.RATE_LIMIT_SEARCH = "1/60";
+    expect(await checkRateLimit("ip:3.3.3.3", "search", "imdb")).toBe(null);
+    expect((await checkRateLimit("ip:3.3.3.3", "search", "imdb")).error_code).toBe("rate_limited");
+    expect(PT_GEN_STORE.store.size).toBe(0);
+  });
+
+  test("client id", () => {
+    const request = new Request("http://localhost/", {headers: {"CF-Connecting-IP": "1.1.1.1"}});
+    expect(clientId({request: request}, {id: null})).toBe("ip:1.1.1.1");
+    expect(clientId({request: request, clientIp: "2.2.2.2"}, {id: null})).toBe("ip:2.2.2.2");
+    expect(clientId({request: request}, {id: "master"})).toBe("key:master");
+  });
+});
@@ -0,0 +1,104 @@
+import {afterEach, describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {authenticate} from "../lib/auth";
+import {checkRateLimit} from "../lib/ratelimit";
+import {handleRelease, matchRelease, parseRelease, resolveRelease} from "../lib/release";
+
+async function get_release(query, ip) {
+  const request = new Request(`http://localhost/release?${query}`);
+  const {key} = await authenticate(request, new URL(request.url));
+  const response = await handleRelease({request: request, clientIp: ip, waitUntil: () => null}, key);
+  return {status: response.status, body: await response.json()};
+}
+
+describe("release", () => {
+  afterEach(() => {
+    delete globalThis.DISABLE_SEARCH;
+    delete globalThis.RATE_LIMIT_GENERATE;
+  });
+
+  test.each([
+    ["The.Matrix.1999.2160p.UHD.BluRay.x265-GROUP", {
+      title: "The Matrix", year: 1999, type: "movie", resolution: "2160p", source: "UHD BluRay", video_codec: "x265", group: "GROUP"
+    }],
+    ["Blade.Runner.2049.2017.1080p.BluRay.DTS-HD.MA.7.1.x264-FGT", {
+      title: "Blade Runner 2049", year: 2017, source: "BluRay", audio_codec: "DTS-HD MA", audio_channels: "7.1", group: "FGT"
+    }],
+    ["2001.A.Space.Odyssey.1968.REMASTERED.1080p.BluRay.REMUX.AVC.DTS-HD.MA.5.1-FGT", {
+      title: "2001 A Space Odyssey", year: 1968, remux: true, video_codec: "AVC", edition: ["Remastered"]
+    }],
+    ["1917.2019.2160p.WEB-DL.DDP5.1.Atmos.HDR10+.DV.H.265-FLUX", {
+      title: "1917", year: 2019, source: "WEB-DL", video_codec: "H.265", hdr: ["HDR10+", "DV"], audio_codec: "DD+ Atmos", audio_channels: "5.1"
+    }],
+    ["The.Last.of.Us.S01E03.1080p.WEB.H264-CAKES", {
+      title: "The Last of Us", year: null, season: 1, episode: 3, type: "tv", source: "WEB", video_codec: "H.264", group: "CAKES"
+    }],
+    ["Chernobyl.S01.1080p.AMZN.WEB-DL.DDP5.1.H.264-NTb", {
+      title: "Chernobyl", season: 1, episode: null, type: "tv", audio_codec: "DD+", group: "NTb"
+    }],
+    ["[SubsPlease] Sousou no Frieren - 01 (1080p) [ABCD1234].mkv", {
+      title: "Sousou no Frieren", episode: 1, type: "anime", resolution: "1080p", group: "SubsPlease"
+    }],
+    ["肖申克的救赎.The.Shawshank.Redemption.1994.1080p.BluRay.x264.10bit.2Audio-HDS", {
+      title: "The Shawshank Redemption", localized_title: "肖申克的救赎", year: 1994, bit_depth: "10bit", group: "HDS"
+    }],
+    ["Spider-Man.No.Way.Home.2021.Extended.1080p.WEBRip.x264.AAC2.0-RARBG[rartv]", {
+      title: "Spider-Man No Way Home", source: "WEBRip", audio_codec: "AAC", audio_channels: "2.0", edition: ["Extended"], group: "RARBG"
+    }],
+    ["Some Movie (2020) 720p HDTV x264", {
+      title: "Some Movie", year: 2020, resolution: "720p", source: "HDTV", group: null
+    }]
+  ])("parse %s", (name, expected) => {
+    expect(parseRelease(name)).toMatchObject(expected);
+  });
+
+  test("resolve", async () => {
+    const data = await withFixtures("release/shawshank", () => resolveRelease("The.Shawshank.Redemption.1994.1080p.BluRay.x264-HDS", ["douban"]));
+    expect(data.success).toBe(true);
+    expect(data.match).toEqual({
+      site: "douban", sid: "1292052", link: "https://movie.douban.com/subject/1292052/", title: "肖申克的救赎", year: "1994"
+    });
+    expect(data.release.group).toBe("HDS");
+    expect(data.format).toContain("肖申克的救赎");
+  });
+
+  test("no title", async () => {
+    const data = await resolveRelease("1080p.BluRay.x264-GROUP", ["douban"]);
+    expect(data.error_code).toBe("invalid_request");
+  });
+
+  test("each search is charged", async () => {
+    const charged = [];
+    const limited = {error: "rate limited", error_code: "rate_limited", retry_after: 30};
+    // 标题与中文标题分别搜索，第二次搜索超出限制时不再进行
+    const charge = async (action, sites) => {
+      charged.push([action, sites]);
+      return charged.length > 1 ? limited : null;
+    };
+    const name = "肖申克的救赎.The.Shawshank.Redemption.1994.1080p.BluRay.x264-HDS";
+    const data = await withFixtures("release/shawshank-search", () => matchRelease(name, ["douban"], {charge: charge}));
+    expect(charged).toEqual([["search", ["douban"]], ["search", ["douban"]]]);
+    expect(data).toMatchObject({error_code: "rate_limited", retry_after: 30, release: {localized_title: "肖申克的救赎"}});
+  });
+
+  test("generate limit is checked before generating", async () => {
+    globalThis.RATE_LIMIT_GENERATE = "1/60";
+    await checkRateLimit("ip:10.0.0.24", "generate", "douban");
+    // fixtures 中只有搜索结果，生成豆瓣页面时会抛出异常
+    const {status, body} = await withFixtures("release/shawshank-search", () => get_release(
+      "name=The.Shawshank.Redemption.1994.1080p.BluRay.x264-HDS&source=douban", "10.0.0.24"
+    ));
+    expect(status).toBe(429);
+    expect(body.error_code).toBe("rate_limited");
+    expect(body.match.sid).toBe("1292052");
+  });
+
+  test("search disabled", async () => {
+    globalThis.DISABLE_SEARCH = "1";
+    const name = "name=The.Shawshank.Redemption.1994.1080p.BluRay.x264-HDS";
+    const {status, body} = await get_release(name);
+    expect(status).toBe(403);
+    expect(body.error_code).toBe("search_disabled");
+    expect((await get_release(name + "&parse_only=1")).body.release.title).toBe("The Shawshank Redemption");
+  });
+});
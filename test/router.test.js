@@ -0,0 +1,52 @@
+import {afterEach, beforeEach, describe, expect, test} from "vitest";
+import {memoryStore, withFixtures} from "./harness";
+import {handleApiKeys} from "../lib/auth";
+import {handle} from "../lib/router";
+
+// 内存中的 Cache API，键为请求链接
+function memoryCache() {
+  const store = new Map();
+  return {
+    store: store,
+    match: async request => store.has(request.url) ? store.get(request.url).clone() : undefined,
+    put: async (request, response) => {
+      store.set(request.url, response);
+    }
+  };
+}
+
+async function fetch_json(path, headers = {}) {
+  const pending = [];
+  const response = await handle({request: new Request(`http://localhost${path}`, {headers: headers}), waitUntil: p => pending.push(p)});
+  await Promise.all(pending);
+  return {status: response.status, body: await response.json()};
+}
+
+describe("router", () => {
+  beforeEach(() => {
+    globalThis.PT_GEN_STORE = memoryStore();
+    globalThis.caches = {default: memoryCache()};
+  });
+
+  afterEach(() => {
+    delete globalThis.PT_GEN_STORE;
+    delete globalThis.caches;
+  });
+
+  test("aggregate search is cached by the sites actually searched", async () => {
+    const created = await handleApiKeys({
+      request: new Request("http://localhost/apikeys", {method: "POST", body: JSON.stringify({label: "douban only", scopes: ["search"], sites: ["douban"]})})
+    });
+    const headers = {"X-API-Key": (await created.json()).key};
+
+    // 只能访问 douban 的 apikey 搜索 `all` 时只搜索 douban，缓存键中的 source 同样只有 douban
+    const {body} = await withFixtures("search/shawshank", () => fetch_json("/?search=Shawshank&source=all", headers));
+    expect(body.success).toBe(true);
+    expect(body.errors).toEqual({});
+    expect([...caches.default.store.keys()]).toEqual(["http://localhost/?search=Shawshank&source=douban"]);
+
+    // 相同的请求直接使用缓存，不再请求任何站点
+    const cached = await withFixtures("lookup/empty", () => fetch_json("/?search=Shawshank&source=all", headers));
+    expect(cached.body.data).toEqual(body.data);
+  });
+});
@@ -0,0 +1,118 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {describeProviders, search} from "../lib/provider";
+import {aggregateSearch, applySearchOptions, isAggregateSource, mergeResults, parseSearchOptions, parseSources, resultType} from "../lib/search";
+
+describe("search", () => {
+  test("parse sources", () => {
+    expect(isAggregateSource("douban")).toBe(false);
+    expect(isAggregateSource("all")).toBe(true);
+    expect(parseSources("douban, imdb,douban")).toEqual(["douban", "imdb"]);
+    expect(parseSources("all")).toContain("bangumi");
+    expect(parseSources("all")).not.toContain("gog");
+    expect(parseSources("all")).not.toContain("douban_book"); // 与 douban 使用同一搜索接口
+    // 指定 type 时只搜索可能有该类型结果的站点，共用搜索接口的站点只搜索一次
+    expect(parseSources("all", "game")).toEqual(["steam", "indienova", "epic", "vndb", "imdb", "bangumi"]);
+    expect(parseSources("all", "book")).toEqual(["douban_book", "bangumi", "anilist"]);
+    expect(parseSources("all", "anime")).toEqual(["bangumi", "anilist"]);
+    expect(parseSources("all", "music")).toEqual(["douban_music", "musicbrainz", "bangumi"]); // 未设置 DISCOGS_TOKEN
+  });
+
+  test("unconfigured sites are hidden", () => {
+    // 未设置 TMDB_API_TOKEN 时 tmdb 不可用
+    expect(parseSources("all")).not.toContain("tmdb");
+    expect(parseSources("all", "music")).not.toContain("discogs");
+    expect(describeProviders().map(p => p.name)).not.toContain("tmdb");
+    expect(describeProviders().find(p => p.name === "discogs").search).toBe(false);
+
+    globalThis.TMDB_API_TOKEN = "test-token";
+    try {
+      expect(parseSources("all")).toContain("tmdb");
+      expect(describeProviders().find(p => p.name === "tmdb").search).toBe(true);
+    } finally {
+      delete globalThis.TMDB_API_TOKEN;
+    }
+  });
+
+  test("merge duplicates", () => {
+    const merged = mergeResults([
+      {site: "douban", year: "1994", title: "肖申克的救赎", subtitle: "The Shawshank Redemption", link: "https://movie.douban.com/subject/1292052/"},
+      {site: "douban", year: "1994", title: "The Shawshank Redemption", link: "https://movie.douban.com/subject/1/"},
+      {site: "imdb", year: 1994, title: "The Shawshank Redemption", link: "https://www.imdb.com/title/tt0111161"},
+      {site: "imdb", year: 2004, title: "The Shawshank Redemption", link: "https://www.imdb.com/title/tt0396394"}
+    ]);
+    expect(merged).toHaveLength(3);
+    expect(merged[0].links).toEqual([
+      {site: "douban", link: "https://movie.douban.com/subject/1292052/"},
+      {site: "imdb", link: "https://www.imdb.com/title/tt0111161"}
+    ]);
+  });
+
+  test("aggregate with partial failure", async () => {
+    const data = await withFixtures("search/shawshank", () => aggregateSearch(["douban", "imdb", "bangumi"], "Shawshank"));
+    expect(data.success).toBe(true);
+    expect(data.errors.bangumi.error_code).toBe("internal_error");
+    expect(data).toMatchSnapshot();
+  });
+
+  test("aggregate with all sources failed", async () => {
+    const data = await withFixtures("search/shawshank", () => aggregateSearch(["bangumi", "not_a_site"], "Shawshank"));
+    expect(data.success).toBeUndefined();
+    expect(data.error_code).toBe("internal_error");
+    expect(data.errors.not_a_site.error_code).toBe("unsupported_site");
+  });
+
+  test("parse search options", () => {
+    expect(parseSearchOptions(new URLSearchParams("search=a")).options).toEqual({year: null, type: null, page: 1, limit: 20});
+    expect(parseSearchOptions(new URLSearchParams("year=1994&type=movie&page=2&limit=5")).options).toEqual({year: "1994", type: "movie", page: 2, limit: 5});
+    expect(parseSearchOptions(new URLSearchParams("year=94")).error_code).toBe("invalid_request");
+    expect(parseSearchOptions(new URLSearchParams("type=anything")).error_code).toBe("invalid_request");
+    expect(parseSearchOptions(new URLSearchParams("page=0")).error_code).toBe("invalid_request");
+    expect(parseSearchOptions(new URLSearchParams("limit=1000")).error_code).toBe("invalid_request");
+  });
+
+  test("result type", () => {
+    expect(resultType("douban", {subtype: "tv"})).toBe("tv");
+    expect(resultType("imdb", {subtype: "TV mini-series"})).toBe("tv");
+    expect(resultType("imdb", {subtype: "feature"})).toBe("movie");
+    expect(resultType("bangumi", {subtype: "动画/二次元番"})).toBe("anime");
+    expect(resultType("mal", {link: "https://myanimelist.net/manga/2"})).toBe("book");
+    expect(resultType("steam", {subtype: "游戏"})).toBe("game");
+  });
+
+  test("filter and paginate", () => {
+    const result = {
+      data: [
+        {year: "1994", subtype: "movie", title: "a"},
+        {year: "1994", subtype: "tv", title: "b"},
+        {year: "2004", subtype: "movie", title: "c"},
+        {year: "1994", subtype: "movie", title: "d"},
+        {year: "", subtype: "movie", title: "e"}
+      ]
+    };
+    const filtered = applySearchOptions(result, {year: "1994", type: "movie", page: 1, limit: 1}, "douban");
+    expect(filtered.data.map(d => d.title)).toEqual(["a"]);
+    expect(filtered).toMatchObject({total: 2, page: 1, limit: 1, has_more: true});
+
+    const last = applySearchOptions(result, {year: null, type: null, page: 3, limit: 2}, "douban");
+    expect(last.data.map(d => d.title)).toEqual(["e"]);
+    expect(last).toMatchObject({total: 5, has_more: false});
+
+    const error = {error: "x", error_code: "upstream_blocked"};
+    expect(applySearchOptions(error, {page: 1, limit: 20})).toBe(error);
+  });
+
+  test("upstream paging", async () => {
+    // bangumi 每页 25 条，第 2 页及类型由接口处理
+    const options = {year: null, type: "anime", page: 2, limit: 25};
+    const result = await withFixtures("search/bebop-page-2", () => search("bangumi", "bebop", {}, options), {replay: true});
+    const paged = applySearchOptions(result, options, "bangumi");
+    expect(paged.data.map(d => d.title)).toEqual(["星际牛仔"]);
+    expect(paged).toMatchObject({total: 26, page: 2, limit: 25, has_more: false});
+    expect(paged.paging).toBeUndefined();
+
+    // 接口不能筛选年份，total 未知
+    const by_year = applySearchOptions(result, Object.assign({}, options, {year: "2000"}), "bangumi");
+    expect(by_year).toMatchObject({data: [], total: null, has_more: false});
+  });
+});
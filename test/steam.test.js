@@ -0,0 +1,30 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_steam, search_steam} from "../lib/steam";
+import {search} from "../lib/provider";
+
+describe("steam", () => {
+  test("gen", async () => {
+    const data = await withFixtures("steam/730", () => gen_steam("730"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/steam.730.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("steam/not_found", () => gen_steam("1"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("steam/search", () => search_steam("counter-strike"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("search response is marked as success", async () => {
+    const data = await withFixtures("steam/search", () => search("steam", "counter-strike"));
+    expect(data.success).toBe(true);
+    expect(data.data).toHaveLength(2);
+  });
+});
@@ -0,0 +1,133 @@
+import {afterEach, describe, expect, test} from "vitest";
+import {memoryStore} from "./harness";
+import {applyTemplate, compileTemplate, handleTemplates, renderTemplate} from "../lib/template";
+
+const DATA = {
+  success: true,
+  site: "douban",
+  chinese_title: "肖申克的救赎",
+  year: "1994",
+  genre: ["剧情", "犯罪"],
+  douban_rating_average: 9.7,
+  imdb_rating: "",
+  episodes: "",
+  cast: [{name: "蒂姆·罗宾斯"}, {name: "摩根·弗里曼"}, {name: "鲍勃·冈顿"}],
+  introduction: "第一行\n第二行",
+  format: "[b]原始简介[/b]"
+};
+
+async function call_templates(method, query = "", body = undefined) {
+  const request = new Request(`http://localhost/templates${query}`, {method: method, body: body});
+  const response = await handleTemplates({request: request, waitUntil: () => null});
+  return {status: response.status, body: await response.json()};
+}
+
+describe("template", () => {
+  afterEach(() => {
+    delete globalThis.PT_GEN_STORE;
+  });
+
+  test("output", () => {
+    expect(renderTemplate("{{ chinese_title }} ({{ year }})", DATA)).toBe("肖申克的救赎 (1994)");
+    expect(renderTemplate("{{ genre }}|{{ cast.1.name }}|{{ cast.0 }}|{{ missing.field }}|", DATA)).toBe("剧情 / 犯罪|摩根·弗里曼|蒂姆·罗宾斯||");
+    // 原型链上的方法不会被输出
+    expect(renderTemplate("{{ genre.map }}{{ chinese_title.constructor }}", DATA)).toBe("");
+  });
+
+  test("filters", () => {
+    expect(renderTemplate('{{ cast | map("name") | limit(2) | join("\\n") }}', DATA)).toBe("蒂姆·罗宾斯\n摩根·弗里曼");
+    expect(renderTemplate("{{ cast | first }}/{{ cast | last }}/{{ cast | length }}", DATA)).toBe("蒂姆·罗宾斯/鲍勃·冈顿/3");
+    expect(renderTemplate('{{ imdb_rating | default("N/A") }} {{ chinese_title | slice(0, 3) }}', DATA)).toBe("N/A 肖申克");
+    expect(renderTemplate('{{ " a " | trim | upper }}{{ "B" | lower }}{{ year | replace("19", "20") }}', DATA)).toBe("Ab2094");
+    expect(renderTemplate("{{ introduction | indent }}", DATA)).toBe("第一行\n　　第二行");
+  });
+
+  test("conditionals", () => {
+    const source = '{% if imdb_rating %}imdb{% elif douban_rating_average >= 9 and not episodes %}douban{% else %}none{% endif %}';
+    expect(renderTemplate(source, DATA)).toBe("douban");
+    expect(renderTemplate(source, Object.assign({}, DATA, {imdb_rating: "9.3/10"}))).toBe("imdb");
+    expect(renderTemplate(source, Object.assign({}, DATA, {douban_rating_average: 5}))).toBe("none");
+    expect(renderTemplate('{% if year == "1994" or (cast | length) < 1 %}yes{% endif %}', DATA)).toBe("yes");
+    expect(renderTemplate("{% if genre != 1 %}array{% endif %}{% if episodes %}tv{% endif %}", DATA)).toBe("array");
+  });
+
+  test("loops", () => {
+    expect(renderTemplate("{% for actor in cast | limit(2) %}{{ loop.index }}.{{ actor.name }}{% if not loop.last %},{% endif %}{% endfor %}", DATA))
+      .toBe("1.蒂姆·罗宾斯,2.摩根·弗里曼");
+    expect(renderTemplate("{% for e in episodes %}{{ e }}{% else %}无{% endfor %}", DATA)).toBe("无");
+    // 循环变量不会影响外层
+    expect(renderTemplate("{% for year in genre %}{{ year }}{% endfor %}{{ year }}", DATA)).toBe("剧情犯罪1994");
+  });
+
+  test("standalone tags and comments leave no blank lines", () => {
+    const source = [
+      "◎片　　名　{{ chinese_title }}",
+      "  {% if genre %}",
+      "◎类　　别　{{ genre }}",
+      "  {% endif %}",
+      "{# 演员 #}",
+      "{% for actor in cast | limit(2) %}",
+      "　　{{ actor.name }}",
+      "{% endfor %}",
+      "完 {# 行内注释 #}{% if episodes %}{% endif %}"
+    ].join("\n");
+    expect(renderTemplate(source, DATA)).toBe("◎片　　名　肖申克的救赎\n◎类　　别　剧情 / 犯罪\n　　蒂姆·罗宾斯\n　　摩根·弗里曼\n完");
+  });
+
+  test("syntax errors", () => {
+    expect(() => compileTemplate("{{ cast | unknown }}")).toThrow("Unknown filter `unknown`");
+    expect(() => compileTemplate("{% if year %}")).toThrow("Missing `endif` tag");
+    expect(() => compileTemplate("{% endfor %}")).toThrow("Unexpected tag `endfor`");
+    expect(() => compileTemplate("{% for in cast %}{% endfor %}")).toThrow("Invalid for tag");
+    expect(() => compileTemplate("{{ year ! }}")).toThrow("Unexpected character");
+    expect(() => compileTemplate("{{ (year }}")).toThrow("Expect `)`");
+    expect(() => compileTemplate("x".repeat(20001))).toThrow("longer than 20000 characters");
+  });
+
+  test("render limits", () => {
+    const cast = Array.from({length: 30}, (_, i) => ({name: `actor ${i}`}));
+    const nested = "{% for a in cast %}{% for b in cast %}{% for c in cast %}{% for d in cast %}{% for e in cast %}{{ e.name }}{% endfor %}{% endfor %}{% endfor %}{% endfor %}{% endfor %}";
+    expect(() => renderTemplate(nested, {cast: cast})).toThrow("Loops run more than 10000 times");
+
+    const long = "x".repeat(10000);
+    expect(() => renderTemplate(`{% for a in cast %}{{ text }}{% endfor %}`, {cast: cast, text: long})).toThrow("Output is longer than 200000 characters");
+    expect(() => renderTemplate(`{{ text | replace("x", "${long}") }}`, {text: "x".repeat(100)})).toThrow("Output is longer than 200000 characters");
+    expect(() => renderTemplate(`{{ cast | join("${long}") }}`, {cast: cast})).toThrow("Output is longer than 200000 characters");
+  });
+
+  test("apply template", async () => {
+    const data = await applyTemplate(DATA, {template: "{{ chinese_title }}", template_name: null});
+    expect(data.format).toBe("肖申克的救赎");
+    expect(data.chinese_title).toBe("肖申克的救赎");
+
+    expect(await applyTemplate(DATA, {template: null, template_name: null})).toBe(DATA);
+    const failed = {success: false, error: "x", error_code: "not_found"};
+    expect(await applyTemplate(failed, {template: "{{ year }}", template_name: null})).toBe(failed);
+
+    const error = await applyTemplate(DATA, {template: "{% if year %}", template_name: null});
+    expect(error).toMatchObject({success: false, error_code: "template_error", error: "Template error: Missing `endif` tag"});
+    expect(error.format).toBe(DATA.format);
+
+    const missing = await applyTemplate(DATA, {template: null, template_name: "nope"});
+    expect(missing).toMatchObject({success: false, error_code: "template_error"});
+  });
+
+  test("named templates", async () => {
+    expect((await call_templates("GET")).body.error_code).toBe("storage_unavailable");
+
+    globalThis.PT_GEN_STORE = memoryStore();
+    expect((await call_templates("PUT", "?name=bad", "{% if year %}")).body.error_code).toBe("template_error");
+    expect((await call_templates("PUT", "?name=a%20b", "x")).body.error_code).toBe("invalid_request");
+    expect((await call_templates("PUT", "?name=simple", "{{ chinese_title }} / {{ year }}")).body).toEqual({success: true, name: "simple"});
+
+    expect((await call_templates("GET")).body).toEqual({success: true, data: ["simple"]});
+    expect((await call_templates("GET", "?name=simple")).body).toEqual({success: true, name: "simple", template: "{{ chinese_title }} / {{ year }}"});
+    expect((await applyTemplate(DATA, {template: null, template_name: "simple"})).format).toBe("肖申克的救赎 / 1994");
+
+    expect((await call_templates("PATCH", "?name=simple")).status).toBe(405);
+    expect((await call_templates("DELETE", "?name=simple")).body).toEqual({success: true, name: "simple"});
+    const {status, body} = await call_templates("GET", "?name=simple");
+    expect(status).toBe(404);
+    expect(body.error_code).toBe("not_found");
+  });
+});
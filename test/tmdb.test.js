@@ -0,0 +1,46 @@
+import {afterAll, beforeAll, describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_tmdb, search_tmdb} from "../lib/tmdb";
+
+describe("tmdb", () => {
+  beforeAll(() => {
+    globalThis.TMDB_API_TOKEN = process.env.TMDB_API_TOKEN || "test-token";
+  });
+
+  afterAll(() => {
+    delete globalThis.TMDB_API_TOKEN;
+  });
+
+  test("gen movie", async () => {
+    const data = await withFixtures("tmdb/movie-550", () => gen_tmdb("movie/550"));
+    expect(data.success).toBe(true);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/tmdb.movie-550.txt");
+  });
+
+  test("gen tv", async () => {
+    const data = await withFixtures("tmdb/tv-1399", () => gen_tmdb("tv/1399"));
+    expect(data.success).toBe(true);
+    expect(data.tvdb_id).toBe(121361);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/tmdb.tv-1399.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("tmdb/not_found", () => gen_tmdb("movie/0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("tmdb/search", () => search_tmdb("Fight Club"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("gen without token", async () => {
+    delete globalThis.TMDB_API_TOKEN;
+    const data = await gen_tmdb("movie/550");
+    globalThis.TMDB_API_TOKEN = "test-token";
+    expect(data.error_code).toBe("not_configured");
+  });
+});
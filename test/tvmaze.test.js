@@ -0,0 +1,49 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {format_tvmaze, gen_tvmaze, search_tvmaze} from "../lib/tvmaze";
+import {matchUrl, reformat} from "../lib/provider";
+import {render} from "../lib/format";
+
+describe("tvmaze", () => {
+  test("gen", async () => {
+    const data = await withFixtures("tvmaze/82", () => gen_tvmaze("82"));
+    expect(data.success).toBe(true);
+    expect(data.episodes).toHaveLength(5);
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/tvmaze.82.txt");
+  });
+
+  test("gen by imdb id", async () => {
+    const data = await withFixtures("tvmaze/tt0944947", () => gen_tvmaze("tt0944947"));
+    expect(data.success).toBe(true);
+    expect(data.tvmaze_id).toBe(82);
+    expect(data.sid).toBe("tt0944947");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("tvmaze/not_found", () => gen_tvmaze("999999999"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("season option", async () => {
+    const data = await withFixtures("tvmaze/82", () => gen_tvmaze("82"));
+    const season = render(format_tvmaze(data, {season: "2"}));
+    expect(season).toContain("Season 2 Episodes");
+    expect(season).toContain("The Night Lands");
+    expect(season).not.toContain("Winter is Coming");
+
+    // 带有选项时即使是 bbcode 也会重新渲染
+    expect(reformat(data, "bbcode", {season: "2"}).format).toBe(season);
+    expect(reformat(data, "bbcode", {season: null})).toBe(data);
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("tvmaze/search", () => search_tvmaze("game of thrones"));
+    expect(data).toMatchSnapshot();
+  });
+
+  test("match url", () => {
+    expect(matchUrl("https://www.tvmaze.com/shows/82/game-of-thrones")).toEqual({site: "tvmaze", sid: "82"});
+  });
+});
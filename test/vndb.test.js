@@ -0,0 +1,25 @@
+import {describe, expect, test} from "vitest";
+import {withFixtures} from "./harness";
+import {gen_vndb, search_vndb} from "../lib/vndb";
+
+describe("vndb", () => {
+  test("gen", async () => {
+    const data = await withFixtures("vndb/v17", () => gen_vndb("v17"));
+    expect(data.success).toBe(true);
+    expect(data.tags).not.toContain("Time Travel");
+    expect(data.description).not.toContain("twist");
+    expect(data).toMatchSnapshot();
+    await expect(data.format).toMatchFileSnapshot("__snapshots__/vndb.v17.txt");
+  });
+
+  test("gen not exist", async () => {
+    const data = await withFixtures("vndb/not_found", () => gen_vndb("v0"));
+    expect(data.error_code).toBe("not_found");
+    expect(data.error).toMatchSnapshot();
+  });
+
+  test("search", async () => {
+    const data = await withFixtures("vndb/search", () => search_vndb("ever17"));
+    expect(data).toMatchSnapshot();
+  });
+});
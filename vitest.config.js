@@ -0,0 +1,16 @@
+import {defineConfig} from "vitest/config";
+
+export default defineConfig({
+  plugins: [{
+    // 与 webpack 的 html-loader 相同，将 index.html 作为字符串导入（lib/router.js）
+    name: "html-string",
+    enforce: "pre",
+    transform(code, id) {
+      return id.endsWith(".html") ? `export default ${JSON.stringify(code)};` : null;
+    }
+  }],
+  test: {
+    include: ["test/**/*.test.js"],
+    testTimeout: 30000 // 录制模式下需要请求真实站点
+  }
+});
@@ -0,0 +1,25 @@
+const path = require('path');
+const {dependencies} = require('./package.json');
+
+module.exports = {
+  target: 'node',
+  entry: './server.js',
+  output: {
+    filename: 'server.js',
+    path: path.resolve(__dirname, 'dist'),
+  },
+  // 运行时依赖直接从 node_modules 加载，不打包进 dist/server.js
+  externals: Object.fromEntries(Object.keys(dependencies).map(name => [name, `commonjs ${name}`])),
+  module: {
+    rules: [
+      {
+        test: /\.html$/i,
+        loader: "html-loader",
+      },
+    ],
+  },
+  optimization: {
+    minimize: false,
+  },
+  mode: 'production',
+};